@@ -1,10 +1,40 @@
 import { NextResponse } from 'next/server';
-import { ragService } from '../../../lib/rag.js';
+import { workspaceService } from '../../../lib/workspaces.js';
+import { personaService } from '../../../lib/personas.js';
+import { getRetrievalModes, getRetrievalStrategies, getMaxNeighborChunks, getMaxK } from '../../../lib/rag.js';
+import { ollamaService } from '../../../lib/ollama.js';
+import { validateWhere, normalizeWhere } from '../../../lib/vectorstore-base.js';
 import { webhookService } from '../../../lib/webhooks.js';
 
 export async function POST(request) {
   try {
-    const { message, taskType, stream = false } = await request.json();
+    const {
+      message,
+      taskType,
+      stream = false,
+      workspace,
+      persona: personaId,
+      userName,
+      retrievalMode,
+      retrievalStrategy,
+      rerank,
+      mmr,
+      mmrLambda,
+      mergeAdjacent,
+      minRelevance,
+      history = [],
+      rewriteQuery,
+      neighbors,
+      verify,
+      model,
+      temperature,
+      topP,
+      numCtx,
+      maxTokens,
+      k,
+      filters,
+      debug = false
+    } = await request.json();
 
     if (!message || typeof message !== 'string') {
       return NextResponse.json(
@@ -18,11 +48,184 @@ export async function POST(request) {
       return await handleLongRunningTask(message);
     }
 
+    if (retrievalMode && !getRetrievalModes().includes(retrievalMode)) {
+      return NextResponse.json(
+        { error: 'Invalid retrievalMode', validModes: getRetrievalModes() },
+        { status: 400 }
+      );
+    }
+
+    if (mmrLambda !== undefined && !(typeof mmrLambda === 'number' && mmrLambda >= 0 && mmrLambda <= 1)) {
+      return NextResponse.json(
+        { error: 'mmrLambda must be a number between 0 and 1' },
+        { status: 400 }
+      );
+    }
+
+    if (neighbors !== undefined && !(Number.isInteger(neighbors) && neighbors >= 0 && neighbors <= getMaxNeighborChunks())) {
+      return NextResponse.json(
+        { error: `neighbors must be a whole number from 0 to ${getMaxNeighborChunks()}` },
+        { status: 400 }
+      );
+    }
+
+    const validHistory = Array.isArray(history) && history.every(turn =>
+      turn && ['user', 'assistant'].includes(turn.role) && typeof turn.content === 'string'
+    );
+    if (!validHistory) {
+      return NextResponse.json(
+        { error: 'history must be an array of { role: "user" | "assistant", content: string } turns' },
+        { status: 400 }
+      );
+    }
+
+    if (minRelevance !== undefined && !(typeof minRelevance === 'number' && minRelevance >= 0 && minRelevance <= 1)) {
+      return NextResponse.json(
+        { error: 'minRelevance must be a number between 0 and 1' },
+        { status: 400 }
+      );
+    }
+
+    if (retrievalStrategy && !getRetrievalStrategies().includes(retrievalStrategy)) {
+      return NextResponse.json(
+        { error: 'Invalid retrievalStrategy', validStrategies: getRetrievalStrategies() },
+        { status: 400 }
+      );
+    }
+
+    if (userName !== undefined && !(typeof userName === 'string' && userName.length <= 100)) {
+      return NextResponse.json(
+        { error: 'userName must be a string of at most 100 characters' },
+        { status: 400 }
+      );
+    }
+
+    if (temperature !== undefined && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+      return NextResponse.json(
+        { error: 'temperature must be a number between 0 and 2' },
+        { status: 400 }
+      );
+    }
+
+    if (topP !== undefined && !(typeof topP === 'number' && topP > 0 && topP <= 1)) {
+      return NextResponse.json(
+        { error: 'topP must be a number above 0 and at most 1' },
+        { status: 400 }
+      );
+    }
+
+    if (numCtx !== undefined && !(Number.isInteger(numCtx) && numCtx >= 512 && numCtx <= 131072)) {
+      return NextResponse.json(
+        { error: 'numCtx must be a whole number from 512 to 131072' },
+        { status: 400 }
+      );
+    }
+
+    if (maxTokens !== undefined && !(Number.isInteger(maxTokens) && maxTokens >= 1 && maxTokens <= 32768)) {
+      return NextResponse.json(
+        { error: 'maxTokens must be a whole number from 1 to 32768' },
+        { status: 400 }
+      );
+    }
+
+    if (numCtx !== undefined && maxTokens !== undefined && maxTokens >= numCtx) {
+      return NextResponse.json(
+        { error: 'maxTokens must be smaller than numCtx' },
+        { status: 400 }
+      );
+    }
+
+    if (k !== undefined && !(Number.isInteger(k) && k >= 1 && k <= getMaxK())) {
+      return NextResponse.json(
+        { error: `k must be a whole number from 1 to ${getMaxK()}` },
+        { status: 400 }
+      );
+    }
+
+    const filterError = filters !== undefined ? validateWhere(filters) : null;
+    if (filterError) {
+      return NextResponse.json(
+        { error: filterError },
+        { status: 400 }
+      );
+    }
+
+    if (model !== undefined) {
+      if (!model || typeof model !== 'string') {
+        return NextResponse.json(
+          { error: 'model must be a non-empty string' },
+          { status: 400 }
+        );
+      }
+
+      // Unknown models are refused up front rather than failing mid-answer
+      if (await ollamaService.hasModel(model) === false) {
+        return NextResponse.json(
+          { error: `Model "${model}" is not installed in Ollama` },
+          { status: 400 }
+        );
+      }
+    }
+
+    const context = await workspaceService.resolve(workspace);
+    if (!context.success) {
+      return NextResponse.json(
+        { error: context.error },
+        { status: context.notFound ? 404 : 500 }
+      );
+    }
+
+    const personaResult = await personaService.resolve(personaId);
+    if (!personaResult.success) {
+      return NextResponse.json(
+        { error: personaResult.error },
+        { status: personaResult.notFound ? 404 : 500 }
+      );
+    }
+    const { persona } = personaResult;
+
+    if (rerank === true && !context.ragService.reranker) {
+      return NextResponse.json(
+        { error: 'Reranking requested but no reranker is configured (set RERANKER)' },
+        { status: 400 }
+      );
+    }
+
+    // The persona supplies the prompt and defaults; request fields take precedence
+    const options = {
+      systemPrompt: personaService.renderSystemPrompt(persona, { userName: userName?.trim() }),
+      model,
+      temperature: temperature ?? persona.temperature ?? undefined,
+      topP,
+      numCtx,
+      maxTokens,
+      k: k || persona.k || 5,
+      filter: filters !== undefined ? normalizeWhere(filters) : undefined,
+      retrievalMode,
+      retrievalStrategy: retrievalStrategy || persona.retrievalStrategy || undefined,
+      rerank,
+      mmr,
+      mmrLambda,
+      mergeAdjacent,
+      minRelevance,
+      history,
+      rewriteQuery,
+      neighbors,
+      verify,
+      // Aborts when the client disconnects, so Ollama stops generating for nobody
+      signal: request.signal
+    };
+
+    // Retrieval only, to see what the model would have been given
+    if (debug) {
+      return await handleDebugChat(message, { ...context, persona }, options);
+    }
+
     // Handle immediate chat response
     if (stream) {
-      return await handleStreamingChat(message);
+      return await handleStreamingChat(message, { ...context, persona }, options);
     } else {
-      return await handleImmediateChat(message);
+      return await handleImmediateChat(message, { ...context, persona }, options);
     }
   } catch (error) {
     console.error('Chat API error:', error);
@@ -33,9 +236,9 @@ export async function POST(request) {
   }
 }
 
-async function handleImmediateChat(message) {
+async function handleImmediateChat(message, { ragService, workspace, persona }, options) {
   try {
-    const result = await ragService.processQuery(message);
+    const result = await ragService.processQuery(message, options.k, options);
     
     if (!result.success) {
       return NextResponse.json(
@@ -48,7 +251,9 @@ async function handleImmediateChat(message) {
       success: true,
       response: result.response,
       sources: result.sources,
-      metadata: result.metadata
+      citations: result.citations,
+      verification: result.verification,
+      metadata: { ...result.metadata, workspace: workspace.id, persona: persona.id }
     });
   } catch (error) {
     console.error('Immediate chat error:', error);
@@ -59,45 +264,88 @@ async function handleImmediateChat(message) {
   }
 }
 
-async function handleStreamingChat(message) {
+async function handleDebugChat(message, { ragService, workspace, persona }, options) {
+  try {
+    const result = await ragService.explainQuery(message, options.k, options);
+
+    if (!result.success) {
+      return NextResponse.json(
+        { error: 'Failed to explain query', details: result.error },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({
+      ...result,
+      metadata: { ...result.metadata, workspace: workspace.id, persona: persona.id }
+    });
+  } catch (error) {
+    console.error('Debug chat error:', error);
+    return NextResponse.json(
+      { error: 'Failed to explain query', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+async function handleStreamingChat(message, { ragService, workspace, persona }, options) {
   try {
     const encoder = new TextEncoder();
+
+    // Stop generating when the client goes away, whether the request is aborted or
+    // the response stream is cancelled
+    const abortController = new AbortController();
+    const abort = () => abortController.abort();
+    options.signal?.addEventListener('abort', abort);
+
     const stream = new ReadableStream({
       async start(controller) {
+        // Nothing can be sent once the client has gone
+        const send = (data) => {
+          if (abortController.signal.aborted) return;
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+        };
+
         try {
-          let fullResponse = '';
-          
           const onChunk = (chunk) => {
-            fullResponse += chunk;
-            const data = JSON.stringify({ chunk, type: 'chunk' });
-            controller.enqueue(encoder.encode(`data: ${data}\n\n`));
+            send({ chunk, type: 'chunk' });
           };
 
-          const result = await ragService.processQueryStream(message, 5, onChunk);
+          const result = await ragService.processQueryStream(message, options.k, onChunk, {
+            ...options,
+            signal: abortController.signal
+          });
           
           if (!result.success) {
-            const errorData = JSON.stringify({ 
+            send({ 
               error: result.error, 
               type: 'error' 
             });
-            controller.enqueue(encoder.encode(`data: ${errorData}\n\n`));
           } else {
-            const completeData = JSON.stringify({ 
+            send({ 
               type: 'complete',
+              response: result.response,
+              stopped: result.stopped,
               sources: result.sources,
-              metadata: result.metadata
+              citations: result.citations,
+              verification: result.verification,
+              metadata: { ...result.metadata, workspace: workspace.id, persona: persona.id }
             });
-            controller.enqueue(encoder.encode(`data: ${completeData}\n\n`));
           }
         } catch (error) {
-          const errorData = JSON.stringify({ 
+          send({ 
             error: error.message, 
             type: 'error' 
           });
-          controller.enqueue(encoder.encode(`data: ${errorData}\n\n`));
         } finally {
-          controller.close();
+          options.signal?.removeEventListener('abort', abort);
+          if (!abortController.signal.aborted) {
+            controller.close();
+          }
         }
+      },
+      cancel() {
+        abort();
       }
     });
 
@@ -0,0 +1,126 @@
+import { NextResponse } from 'next/server';
+import { workspaceService } from '../../../../lib/workspaces.js';
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const context = await workspaceService.resolve(searchParams.get('workspace'));
+    if (!context.success) {
+      return NextResponse.json({
+        success: false,
+        error: context.error
+      }, { status: context.notFound ? 404 : 500 });
+    }
+    const { documentService } = context;
+    const result = await documentService.getDocument(id);
+
+    if (!result.success) {
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status: result.notFound ? 404 : 500 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      document: result.document
+    });
+  } catch (error) {
+    console.error('Get document API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const context = await workspaceService.resolve(searchParams.get('workspace'));
+    if (!context.success) {
+      return NextResponse.json({
+        success: false,
+        error: context.error
+      }, { status: context.notFound ? 404 : 500 });
+    }
+    const { documentService } = context;
+    const { newText, newFilename } = await request.json();
+
+    if (!newText) {
+      return NextResponse.json({
+        success: false,
+        error: 'New text is required'
+      }, { status: 400 });
+    }
+
+    const result = await documentService.updateDocument(id, {
+      text: newText,
+      filename: newFilename
+    });
+
+    if (!result.success) {
+      const status = result.notFound ? 404 : result.conflict ? 409 : 500;
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Document updated successfully',
+      document: result.document,
+      filename: result.document.filename,
+      version: result.document.version,
+      chunksAdded: result.chunksAdded,
+      warning: result.warning
+    });
+  } catch (error) {
+    console.error('Update document API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const context = await workspaceService.resolve(searchParams.get('workspace'));
+    if (!context.success) {
+      return NextResponse.json({
+        success: false,
+        error: context.error
+      }, { status: context.notFound ? 404 : 500 });
+    }
+    const { documentService } = context;
+    const result = await documentService.deleteDocument(id);
+
+    if (!result.success) {
+      const status = result.notFound ? 404 : result.conflict ? 409 : 500;
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Deleted ${result.deletedCount} document chunks for "${result.document.filename}"`,
+      deletedCount: result.deletedCount,
+      id,
+      filename: result.document.filename
+    });
+  } catch (error) {
+    console.error('Delete document API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,108 @@
+import { NextResponse } from 'next/server';
+import { workspaceService } from '../../../../../../lib/workspaces.js';
+
+function parseVersion(value) {
+  const version = parseInt(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+export async function GET(request, { params }) {
+  try {
+    const { id, version: versionParam } = await params;
+    const { searchParams } = new URL(request.url);
+    const context = await workspaceService.resolve(searchParams.get('workspace'));
+    if (!context.success) {
+      return NextResponse.json({
+        success: false,
+        error: context.error
+      }, { status: context.notFound ? 404 : 500 });
+    }
+    const { documentService } = context;
+    const version = parseVersion(versionParam);
+
+    if (!version) {
+      return NextResponse.json({
+        success: false,
+        error: 'Version must be a positive integer'
+      }, { status: 400 });
+    }
+
+    const result = await documentService.getVersion(id, version);
+
+    if (!result.success) {
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status: result.notFound ? 404 : 500 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      id,
+      version: result.version
+    });
+  } catch (error) {
+    console.error('Get document version API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const { id, version: versionParam } = await params;
+    const { searchParams } = new URL(request.url);
+    const context = await workspaceService.resolve(searchParams.get('workspace'));
+    if (!context.success) {
+      return NextResponse.json({
+        success: false,
+        error: context.error
+      }, { status: context.notFound ? 404 : 500 });
+    }
+    const { documentService } = context;
+    const { action } = await request.json();
+    const version = parseVersion(versionParam);
+
+    if (!version) {
+      return NextResponse.json({
+        success: false,
+        error: 'Version must be a positive integer'
+      }, { status: 400 });
+    }
+
+    if (action !== 'restore') {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid action. Supported actions: restore'
+      }, { status: 400 });
+    }
+
+    const result = await documentService.restoreVersion(id, version);
+
+    if (!result.success) {
+      const status = result.notFound ? 404 : result.conflict ? 409 : 500;
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Restored version ${version} as version ${result.document.version}`,
+      document: result.document,
+      version: result.document.version,
+      restoredFrom: version,
+      chunksAdded: result.chunksAdded,
+      warning: result.warning
+    });
+  } catch (error) {
+    console.error('Restore document version API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
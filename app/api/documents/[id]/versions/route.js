@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { workspaceService } from '../../../../../lib/workspaces.js';
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const context = await workspaceService.resolve(searchParams.get('workspace'));
+    if (!context.success) {
+      return NextResponse.json({
+        success: false,
+        error: context.error
+      }, { status: context.notFound ? 404 : 500 });
+    }
+    const { documentService } = context;
+    const result = await documentService.listVersions(id);
+
+    if (!result.success) {
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status: result.notFound ? 404 : 500 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      id,
+      currentVersion: result.currentVersion,
+      versions: result.versions
+    });
+  } catch (error) {
+    console.error('List document versions API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
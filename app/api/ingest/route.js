@@ -1,23 +1,38 @@
 import { NextResponse } from 'next/server';
-import { ragService } from '../../../lib/rag.js';
+import { documentRegistry } from '../../../lib/document-registry.js';
+import { workspaceService } from '../../../lib/workspaces.js';
 
 export async function POST(request) {
   try {
-    const { action, data } = await request.json();
+    const { action, data, workspace } = await request.json();
+
+    const context = await workspaceService.resolve(workspace);
+    if (!context.success) {
+      return NextResponse.json(
+        { error: context.error },
+        { status: context.notFound ? 404 : 500 }
+      );
+    }
 
     switch (action) {
       case 'add_documents':
-        return await handleAddDocuments(data);
+        return await handleAddDocuments(data, context);
       
       case 'clear_knowledge_base':
-        return await handleClearKnowledgeBase();
+        return await handleClearKnowledgeBase(context);
       
       case 'get_stats':
-        return await handleGetStats();
+        return await handleGetStats(context);
+      
+      case 'reembed':
+        return await handleReembed(context);
+      
+      case 'get_reembed_status':
+        return await handleGetReembedStatus(context);
       
       default:
         return NextResponse.json(
-          { error: 'Invalid action', validActions: ['add_documents', 'clear_knowledge_base', 'get_stats'] },
+          { error: 'Invalid action', validActions: ['add_documents', 'clear_knowledge_base', 'get_stats', 'reembed', 'get_reembed_status'] },
           { status: 400 }
         );
     }
@@ -30,7 +45,7 @@ export async function POST(request) {
   }
 }
 
-async function handleAddDocuments(data) {
+async function handleAddDocuments(data, { documentService }) {
   try {
     const { documents } = data;
 
@@ -51,20 +66,51 @@ async function handleAddDocuments(data) {
       }
     }
 
-    const result = await ragService.addDocumentToKnowledgeBase(documents);
+    // Chunks sharing a documentId (or, failing that, a filename) form one registered document
+    const groups = {};
+    for (const doc of documents) {
+      const key = doc.documentId || doc.filename || 'Untitled';
+      if (!groups[key]) {
+        groups[key] = [];
+      }
+      groups[key].push(doc);
+    }
 
-    if (!result.success) {
-      return NextResponse.json(
-        { error: 'Failed to add documents', details: result.error },
-        { status: 500 }
-      );
+    const added = [];
+    let chunksAdded = 0;
+
+    for (const chunks of Object.values(groups)) {
+      const text = chunks.map(chunk => chunk.text).join('\n');
+      const result = await documentService.addDocument({
+        filename: chunks[0].filename || 'Untitled',
+        fileType: chunks[0].fileType || 'txt',
+        fileSize: Buffer.byteLength(text, 'utf-8'),
+        checksum: documentRegistry.computeChecksum(text),
+        chunks: chunks.map((chunk, index) => ({
+          chunkIndex: index,
+          uploadDate: new Date().toISOString(),
+          ...chunk
+        })),
+        text
+      });
+
+      if (!result.success) {
+        return NextResponse.json(
+          { error: 'Failed to add documents', details: result.error, documentsAdded: added },
+          { status: result.conflict ? 409 : 500 }
+        );
+      }
+
+      added.push({ id: result.document.id, filename: result.document.filename });
+      chunksAdded += result.chunksAdded;
     }
 
     return NextResponse.json({
       success: true,
       message: 'Documents added successfully',
-      chunksAdded: result.chunksAdded,
-      totalChunks: result.totalChunks
+      documents: added,
+      chunksAdded,
+      totalChunks: documents.length
     });
   } catch (error) {
     console.error('Add documents error:', error);
@@ -75,14 +121,14 @@ async function handleAddDocuments(data) {
   }
 }
 
-async function handleClearKnowledgeBase() {
+async function handleClearKnowledgeBase({ ragService }) {
   try {
     const result = await ragService.clearKnowledgeBase();
 
     if (!result.success) {
       return NextResponse.json(
         { error: 'Failed to clear knowledge base', details: result.error },
-        { status: 500 }
+        { status: result.conflict ? 409 : 500 }
       );
     }
 
@@ -99,7 +145,7 @@ async function handleClearKnowledgeBase() {
   }
 }
 
-async function handleGetStats() {
+async function handleGetStats({ ragService, workspace }) {
   try {
     const result = await ragService.getKnowledgeBaseStats();
 
@@ -112,6 +158,7 @@ async function handleGetStats() {
 
     return NextResponse.json({
       success: true,
+      workspace: workspace.id,
       stats: result
     });
   } catch (error) {
@@ -123,10 +170,64 @@ async function handleGetStats() {
   }
 }
 
-export async function GET() {
+async function handleReembed({ ragService }) {
+  try {
+    const initialized = await ragService.initialize();
+    if (!initialized) {
+      return NextResponse.json(
+        { error: 'Failed to initialize RAG service' },
+        { status: 500 }
+      );
+    }
+
+    // Re-embedding walks the whole collection, so run it in the background and let clients poll
+    const job = ragService.startReembedJob((progress) => {
+      console.log('Re-embed progress:', progress);
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Re-embedding started...',
+      job
+    });
+  } catch (error) {
+    console.error('Re-embed error:', error);
+    return NextResponse.json(
+      { error: 'Failed to start re-embedding', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+async function handleGetReembedStatus({ ragService }) {
+  try {
+    return NextResponse.json({
+      success: true,
+      job: ragService.reembedJob,
+      embeddingStatus: ragService.embeddingStatus
+    });
+  } catch (error) {
+    console.error('Get re-embed status error:', error);
+    return NextResponse.json(
+      { error: 'Failed to get re-embed status', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET(request) {
   try {
+    const { searchParams } = new URL(request.url);
+    const context = await workspaceService.resolve(searchParams.get('workspace'));
+    if (!context.success) {
+      return NextResponse.json(
+        { error: context.error },
+        { status: context.notFound ? 404 : 500 }
+      );
+    }
+
     // Return knowledge base statistics
-    const result = await ragService.getKnowledgeBaseStats();
+    const result = await context.ragService.getKnowledgeBaseStats();
 
     if (!result.success) {
       return NextResponse.json(
@@ -137,6 +238,7 @@ export async function GET() {
 
     return NextResponse.json({
       success: true,
+      workspace: context.workspace.id,
       stats: result
     });
   } catch (error) {
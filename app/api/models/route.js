@@ -0,0 +1,231 @@
+import { NextResponse } from 'next/server';
+import { ollamaService } from '../../../lib/ollama.js';
+import { localEmbeddings } from '../../../lib/embeddings.js';
+import { workspaceService } from '../../../lib/workspaces.js';
+
+// Ollama model names: "mistral", "llama3.1:8b", "hf.co/user/model:Q4_K_M"
+const MODEL_NAME_PATTERN = /^[\w][\w.\-/]*(:[\w.\-]+)?$/;
+
+function isValidModelName(name) {
+  return typeof name === 'string' && name.length <= 200 && MODEL_NAME_PATTERN.test(name);
+}
+
+// "mistral" and "mistral:latest" are the same model
+function sameModel(a, b) {
+  const withTag = (name) => name.includes(':') ? name : `${name}:latest`;
+  return withTag(a) === withTag(b);
+}
+
+function getActiveModels() {
+  return {
+    chatModel: ollamaService.model,
+    embeddingModel: localEmbeddings.model,
+    embeddingProvider: localEmbeddings.provider.name
+  };
+}
+
+export async function GET() {
+  try {
+    if (!await ollamaService.checkHealth()) {
+      return NextResponse.json({
+        success: false,
+        error: `Ollama is not reachable at ${ollamaService.baseUrl}`
+      }, { status: 503 });
+    }
+
+    const models = (await ollamaService.listModels()).map(model => ({
+      name: model.name,
+      size: model.size,
+      modifiedAt: model.modified_at,
+      family: model.details?.family || null,
+      parameterSize: model.details?.parameter_size || null,
+      quantization: model.details?.quantization_level || null,
+      isChatModel: sameModel(model.name, ollamaService.model),
+      isEmbeddingModel: sameModel(model.name, localEmbeddings.model)
+    }));
+
+    return NextResponse.json({
+      success: true,
+      models,
+      active: getActiveModels()
+    });
+  } catch (error) {
+    console.error('Models API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+// Pull a model, reporting download progress as Server-Sent Events
+export async function POST(request) {
+  try {
+    const { model } = await request.json();
+
+    if (!isValidModelName(model)) {
+      return NextResponse.json({
+        success: false,
+        error: 'model must be a valid Ollama model name'
+      }, { status: 400 });
+    }
+
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (data) => {
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+        };
+
+        try {
+          const result = await ollamaService.pullModel(model, (progress) => {
+            send({ type: 'progress', ...progress });
+          });
+
+          if (!result.success) {
+            send({ type: 'error', error: result.error });
+          } else {
+            send({ type: 'complete', model: result.model });
+          }
+        } catch (error) {
+          send({ type: 'error', error: error.message });
+        } finally {
+          controller.close();
+        }
+      }
+    });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      },
+    });
+  } catch (error) {
+    console.error('Pull model API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+// Set the active chat and/or embedding model until the server restarts
+export async function PUT(request) {
+  try {
+    const { chatModel, embeddingModel } = await request.json();
+
+    if (chatModel === undefined && embeddingModel === undefined) {
+      return NextResponse.json({
+        success: false,
+        error: 'Provide chatModel, embeddingModel or both'
+      }, { status: 400 });
+    }
+
+    for (const name of [chatModel, embeddingModel]) {
+      if (name !== undefined && !isValidModelName(name)) {
+        return NextResponse.json({
+          success: false,
+          error: 'Model names must be valid Ollama model names'
+        }, { status: 400 });
+      }
+    }
+
+    // Checked up front so a missing chat model does not leave the embedding model half-changed.
+    // The hash embedding provider has no Ollama models, which setModel() reports itself.
+    const toCheck = [chatModel, localEmbeddings.provider.name === 'ollama' ? embeddingModel : undefined];
+    for (const name of toCheck) {
+      if (name !== undefined && await ollamaService.hasModel(name) === false) {
+        return NextResponse.json({
+          success: false,
+          error: `Model "${name}" is not installed in Ollama`
+        }, { status: 404 });
+      }
+    }
+
+    let workspaces;
+    if (embeddingModel !== undefined && !sameModel(embeddingModel, localEmbeddings.model)) {
+      if (workspaceService.isReembedding()) {
+        return NextResponse.json({
+          success: false,
+          error: 'A knowledge base is being re-embedded; change the embedding model once it finishes'
+        }, { status: 409 });
+      }
+
+      const result = await localEmbeddings.setModel(embeddingModel);
+      if (!result.success) {
+        return NextResponse.json({
+          success: false,
+          error: result.error
+        }, { status: result.invalid ? 400 : 500 });
+      }
+
+      // Knowledge bases embedded with the previous model now refuse queries until re-embedded
+      workspaces = await workspaceService.checkEmbeddingCompatibility();
+    }
+
+    if (chatModel !== undefined) {
+      const result = await ollamaService.setModel(chatModel);
+      if (!result.success) {
+        return NextResponse.json({
+          success: false,
+          error: result.error
+        }, { status: result.notFound ? 404 : 500 });
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      active: getActiveModels(),
+      ...(workspaces && { workspaces })
+    });
+  } catch (error) {
+    console.error('Set models API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const model = searchParams.get('model');
+
+    if (!isValidModelName(model)) {
+      return NextResponse.json({
+        success: false,
+        error: 'model must be a valid Ollama model name'
+      }, { status: 400 });
+    }
+
+    if (sameModel(model, ollamaService.model) || sameModel(model, localEmbeddings.model)) {
+      return NextResponse.json({
+        success: false,
+        error: `Model "${model}" is in use; switch to another model before deleting it`
+      }, { status: 400 });
+    }
+
+    const result = await ollamaService.deleteModel(model);
+    if (!result.success) {
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status: result.notFound ? 404 : 500 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Deleted model "${model}"`,
+      model
+    });
+  } catch (error) {
+    console.error('Delete model API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import { personaService } from '../../../../lib/personas.js';
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const persona = await personaService.get(id);
+
+    if (!persona) {
+      return NextResponse.json({
+        success: false,
+        error: `Persona "${id}" not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      persona
+    });
+  } catch (error) {
+    console.error('Get persona API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+    const { name, description, systemPrompt, temperature, k, retrievalStrategy } = await request.json();
+    const result = await personaService.update(id, { name, description, systemPrompt, temperature, k, retrievalStrategy });
+
+    if (!result.success) {
+      const status = result.notFound ? 404 : result.invalid ? 400 : 500;
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      persona: result.persona
+    });
+  } catch (error) {
+    console.error('Update persona API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    const result = await personaService.remove(id);
+
+    if (!result.success) {
+      const status = result.notFound ? 404 : result.invalid ? 400 : 500;
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Deleted persona "${result.persona.name}"`,
+      id
+    });
+  } catch (error) {
+    console.error('Delete persona API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
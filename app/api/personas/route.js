@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { personaService } from '../../../lib/personas.js';
+
+export async function GET() {
+  try {
+    const personas = await personaService.list();
+
+    return NextResponse.json({
+      success: true,
+      personas,
+      defaultPersona: personaService.getDefaultPersona()
+    });
+  } catch (error) {
+    console.error('Personas API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { id, name, description, systemPrompt, temperature, k, retrievalStrategy } = await request.json();
+    const result = await personaService.create({ id, name, description, systemPrompt, temperature, k, retrievalStrategy });
+
+    if (!result.success) {
+      const status = result.invalid ? 400 : result.conflict ? 409 : 500;
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      persona: result.persona
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Create persona API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
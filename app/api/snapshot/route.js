@@ -0,0 +1,117 @@
+import { NextResponse } from 'next/server';
+import { workspaceService } from '../../../lib/workspaces.js';
+import { snapshotService, parseSnapshotStream } from '../../../lib/snapshots.js';
+
+// Export a workspace as a JSON Lines snapshot, streamed as it is read
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const context = await workspaceService.resolve(searchParams.get('workspace'));
+
+    if (!context.success) {
+      return NextResponse.json(
+        { error: context.error },
+        { status: context.notFound ? 404 : 500 }
+      );
+    }
+
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      async start(controller) {
+        try {
+          const result = await snapshotService.exportSnapshot(context, (record) => {
+            controller.enqueue(encoder.encode(`${JSON.stringify(record)}\n`));
+          });
+
+          // A truncated snapshot must not look like a complete one
+          if (!result.success) {
+            controller.error(new Error(result.error));
+            return;
+          }
+          controller.close();
+        } catch (error) {
+          controller.error(error);
+        }
+      }
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="isha-${context.workspace.id}-${date}.jsonl"`,
+        'Cache-Control': 'no-cache',
+      },
+    });
+  } catch (error) {
+    console.error('Snapshot export error:', error);
+    return NextResponse.json(
+      { error: 'Failed to export snapshot', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// Import a snapshot sent as the raw request body
+export async function POST(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const onConflict = searchParams.get('onConflict') || 'skip';
+    const reembed = searchParams.get('reembed') === 'true';
+
+    if (!snapshotService.getConflictModes().includes(onConflict)) {
+      return NextResponse.json(
+        { error: 'Invalid onConflict value', validModes: snapshotService.getConflictModes() },
+        { status: 400 }
+      );
+    }
+
+    if (!request.body) {
+      return NextResponse.json(
+        { error: 'Snapshot body is required' },
+        { status: 400 }
+      );
+    }
+
+    const context = await workspaceService.resolve(searchParams.get('workspace'));
+    if (!context.success) {
+      return NextResponse.json(
+        { error: context.error },
+        { status: context.notFound ? 404 : 500 }
+      );
+    }
+
+    const result = await snapshotService.importSnapshot(
+      context,
+      parseSnapshotStream(request.body),
+      { onConflict, reembed }
+    );
+
+    if (!result.success) {
+      const status = result.invalid ? 400 : result.incompatible || result.conflict ? 409 : 500;
+      return NextResponse.json(
+        { error: 'Failed to import snapshot', details: result.error },
+        { status }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Imported ${result.documents} documents (${result.chunks} chunks)`,
+      workspace: context.workspace.id,
+      onConflict,
+      documents: result.documents,
+      chunks: result.chunks,
+      skipped: result.skipped,
+      overwritten: result.overwritten,
+      renamed: result.renamed,
+      reembedded: result.reembedded
+    });
+  } catch (error) {
+    console.error('Snapshot import error:', error);
+    return NextResponse.json(
+      { error: 'Failed to import snapshot', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,11 +1,14 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { parseDocumentChunks, validateFileType, getSupportedFileTypes } from '../../../lib/parse-documents.js';
-import { ragService } from '../../../lib/rag.js';
+import { documentRegistry } from '../../../lib/document-registry.js';
+import { workspaceService } from '../../../lib/workspaces.js';
 
 export async function POST(request) {
   try {
     const formData = await request.formData();
     const file = formData.get('file');
+    const stream = formData.get('stream') === 'true';
+    const context = await workspaceService.resolve(formData.get('workspace'));
 
     if (!file) {
       return NextResponse.json(
@@ -14,6 +17,13 @@ export async function POST(request) {
       );
     }
 
+    if (!context.success) {
+      return NextResponse.json(
+        { error: context.error },
+        { status: context.notFound ? 404 : 500 }
+      );
+    }
+
     // Validate file type
     const fileExtension = file.name.split('.').pop().toLowerCase();
     if (!validateFileType(fileExtension)) {
@@ -43,40 +53,20 @@ export async function POST(request) {
     // Convert file to buffer
     const buffer = Buffer.from(await file.arrayBuffer());
 
-    // Parse document into chunks
-    const parseResult = await parseDocumentChunks(
-      buffer,
-      file.name,
-      fileExtension
-    );
-
-    if (!parseResult.success) {
-      return NextResponse.json(
-        { error: 'Failed to parse document', details: parseResult.error },
-        { status: 500 }
-      );
+    if (stream) {
+      return handleStreamingUpload(context, file, buffer, fileExtension);
     }
 
-    // Add document chunks to knowledge base
-    const ingestResult = await ragService.addDocumentToKnowledgeBase(parseResult.chunks);
+    const result = await processUpload(context, file, buffer, fileExtension);
 
-    if (!ingestResult.success) {
+    if (!result.success) {
       return NextResponse.json(
-        { error: 'Failed to ingest document', details: ingestResult.error },
-        { status: 500 }
+        { error: result.error, details: result.details },
+        { status: result.conflict ? 409 : 500 }
       );
     }
 
-    return NextResponse.json({
-      success: true,
-      message: 'Document uploaded and processed successfully',
-      filename: file.name,
-      fileType: fileExtension,
-      fileSize: file.size,
-      chunksProcessed: ingestResult.chunksAdded,
-      totalChunks: parseResult.totalChunks,
-      metadata: parseResult.metadata
-    });
+    return NextResponse.json(result);
 
   } catch (error) {
     console.error('Upload API error:', error);
@@ -87,6 +77,87 @@ export async function POST(request) {
   }
 }
 
+async function processUpload({ documentService, workspace }, file, buffer, fileExtension, onProgress) {
+  // Parse document into chunks
+  const parseResult = await parseDocumentChunks(
+    buffer,
+    file.name,
+    fileExtension
+  );
+
+  if (!parseResult.success) {
+    return { success: false, error: 'Failed to parse document', details: parseResult.error };
+  }
+
+  // Register the document and add its chunks to the knowledge base
+  const ingestResult = await documentService.addDocument({
+    filename: file.name,
+    fileType: fileExtension,
+    fileSize: file.size,
+    checksum: documentRegistry.computeChecksum(buffer),
+    chunks: parseResult.chunks,
+    text: parseResult.originalText
+  }, {
+    onProgress
+  });
+
+  if (!ingestResult.success) {
+    return { success: false, conflict: ingestResult.conflict === true, error: 'Failed to ingest document', details: ingestResult.error };
+  }
+
+  return {
+    success: true,
+    message: 'Document uploaded and processed successfully',
+    documentId: ingestResult.document.id,
+    workspace: workspace.id,
+    duplicateOf: ingestResult.duplicateOf,
+    filename: file.name,
+    fileType: fileExtension,
+    fileSize: file.size,
+    chunksProcessed: ingestResult.chunksAdded,
+    totalChunks: parseResult.totalChunks,
+    metadata: parseResult.metadata
+  };
+}
+
+// Same as the JSON upload, but reports embedding progress as Server-Sent Events
+function handleStreamingUpload(context, file, buffer, fileExtension) {
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (data) => {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+      };
+
+      try {
+        const onProgress = (progress) => {
+          send({ type: 'progress', ...progress });
+        };
+
+        const result = await processUpload(context, file, buffer, fileExtension, onProgress);
+
+        if (!result.success) {
+          send({ type: 'error', error: result.error, details: result.details });
+        } else {
+          send({ type: 'complete', ...result });
+        }
+      } catch (error) {
+        send({ type: 'error', error: error.message });
+      } finally {
+        controller.close();
+      }
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    },
+  });
+}
+
 export async function GET() {
   try {
     // Return supported file types and configuration
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { workspaceService } from '../../../../lib/workspaces.js';
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const context = await workspaceService.resolve(id);
+
+    if (!context.success) {
+      return NextResponse.json({
+        success: false,
+        error: context.error
+      }, { status: context.notFound ? 404 : 500 });
+    }
+
+    const stats = await context.ragService.getKnowledgeBaseStats();
+
+    return NextResponse.json({
+      success: true,
+      workspace: context.workspace,
+      stats: stats.success ? stats : null
+    });
+  } catch (error) {
+    console.error('Get workspace API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+    const { name, description } = await request.json();
+    const result = await workspaceService.update(id, { name, description });
+
+    if (!result.success) {
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status: result.notFound ? 404 : 500 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      workspace: result.workspace
+    });
+  } catch (error) {
+    console.error('Update workspace API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    const result = await workspaceService.remove(id);
+
+    if (!result.success) {
+      const status = result.notFound ? 404 : result.invalid ? 400 : 500;
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Deleted workspace "${result.workspace.name}"`,
+      id
+    });
+  } catch (error) {
+    console.error('Delete workspace API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { workspaceService } from '../../../lib/workspaces.js';
+
+export async function GET() {
+  try {
+    const workspaces = await workspaceService.list();
+
+    // Document counts come from each workspace's registry, which is cheap to read
+    const withCounts = [];
+    for (const workspace of workspaces) {
+      const { ragService } = workspaceService.getServices(workspace);
+      const documents = await ragService.documentRegistry.list();
+      withCounts.push({ ...workspace, documentCount: documents.length });
+    }
+
+    return NextResponse.json({
+      success: true,
+      workspaces: withCounts,
+      defaultWorkspace: workspaceService.getDefaultWorkspace()
+    });
+  } catch (error) {
+    console.error('Workspaces API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { id, name, description } = await request.json();
+    const result = await workspaceService.create({ id, name, description });
+
+    if (!result.success) {
+      const status = result.invalid ? 400 : result.conflict ? 409 : 500;
+      return NextResponse.json({
+        success: false,
+        error: result.error
+      }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      workspace: result.workspace
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Create workspace API error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -1,9 +1,43 @@
 'use client';
 
-import { useState, useRef, useEffect } from 'react';
-import { Upload, Send, FileText, Bot, User, Loader2, AlertCircle, CheckCircle, X, MessageSquare, Trash2, Edit, Eye, FolderOpen } from 'lucide-react';
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { Upload, Send, FileText, Bot, User, Loader2, AlertCircle, CheckCircle, X, MessageSquare, Trash2, Edit, Eye, FolderOpen, Plus, Bug, Square } from 'lucide-react';
 import Image from 'next/image';
 
+// Code blocks and inline code, where [n] is indexing rather than a citation (as in lib/rag.js)
+const CODE_PATTERN = /(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]*`)/;
+
+// Calls onEvent with each Server-Sent Event's data. Events can be split across reads,
+// so only complete lines are parsed. Errors thrown by onEvent end the read.
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+
+    buffer += done ? '\n' : decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+
+      let data;
+      try {
+        data = JSON.parse(line.slice(6));
+      } catch (parseError) {
+        console.error('Error parsing event stream:', parseError);
+        continue;
+      }
+      onEvent(data);
+    }
+
+    if (done) break;
+  }
+}
+
 export default function Home() {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
@@ -14,7 +48,8 @@ export default function Home() {
   const [systemStatus, setSystemStatus] = useState({
     ollama: false,
     chromadb: false,
-    embeddings: false
+    embeddings: false,
+    vectorStoreBackend: 'chroma'
   });
   const [showUpload, setShowUpload] = useState(false);
   const [showHistory, setShowHistory] = useState(false);
@@ -23,14 +58,33 @@ export default function Home() {
   const [currentConversationId, setCurrentConversationId] = useState(null);
   const [documents, setDocuments] = useState([]);
   const [documentsLoading, setDocumentsLoading] = useState(false);
+  const [documentsPage, setDocumentsPage] = useState(1);
+  const [documentsTotalPages, setDocumentsTotalPages] = useState(1);
+  const [documentsFileType, setDocumentsFileType] = useState('');
+  const [documentsSort, setDocumentsSort] = useState('createdAt:desc');
   const [selectedDocument, setSelectedDocument] = useState(null);
   const [showDocumentModal, setShowDocumentModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingDocument, setEditingDocument] = useState(null);
   const [editText, setEditText] = useState('');
   const [editFilename, setEditFilename] = useState('');
+  const [documentVersions, setDocumentVersions] = useState([]);
+  const [previewVersion, setPreviewVersion] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [currentWorkspace, setCurrentWorkspace] = useState('default');
+  const [personas, setPersonas] = useState([]);
+  const [currentPersona, setCurrentPersona] = useState('');
+  const [userName, setUserName] = useState('');
+  const [chatModels, setChatModels] = useState([]);
+  const [chatModel, setChatModel] = useState('');
+  const [activeCitation, setActiveCitation] = useState(null);
+  const [showDebug, setShowDebug] = useState(false);
+  const [debugResult, setDebugResult] = useState(null);
+  const [debugLoading, setDebugLoading] = useState(false);
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
+  const snapshotInputRef = useRef(null);
+  const streamAbortRef = useRef(null);
 
   // Load conversations from localStorage on mount
   useEffect(() => {
@@ -68,28 +122,178 @@ export default function Home() {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
-  // Check system status on mount
+  // Restore the chosen persona and the user's name, and load the persona list on mount
   useEffect(() => {
-    checkSystemStatus();
+    const savedPersona = localStorage.getItem('isha-persona');
+    if (savedPersona) {
+      setCurrentPersona(savedPersona);
+    }
+    setUserName(localStorage.getItem('isha-user-name') || '');
+    loadPersonas();
+    loadModels();
+  }, []);
+
+  const switchWorkspace = useCallback((id) => {
+    setCurrentWorkspace(id);
+    setDocumentsPage(1);
+    localStorage.setItem('isha-workspace', id);
   }, []);
 
-  const checkSystemStatus = async () => {
+  const loadWorkspaces = useCallback(async () => {
     try {
-      const response = await fetch('/api/ingest');
+      const response = await fetch('/api/workspaces');
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setWorkspaces(data.workspaces);
+          // Fall back to the default workspace if the saved one was deleted
+          const savedWorkspace = localStorage.getItem('isha-workspace');
+          if (savedWorkspace && !data.workspaces.some(workspace => workspace.id === savedWorkspace)) {
+            switchWorkspace(data.defaultWorkspace);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load workspaces:', error);
+    }
+  }, [switchWorkspace]);
+
+  const createWorkspace = async () => {
+    const name = prompt('Name for the new workspace:');
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/workspaces', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: name.trim() }),
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        await loadWorkspaces();
+        switchWorkspace(data.workspace.id);
+      } else {
+        alert(`Failed to create workspace: ${data.error}`);
+      }
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      alert('Error creating workspace');
+    }
+  };
+
+  const loadModels = async () => {
+    try {
+      const response = await fetch('/api/models');
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          // The embedding model cannot chat, so it is left out of the selector
+          setChatModels(data.models.filter(model => !model.isEmbeddingModel));
+          setChatModel(data.active.chatModel);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load models:', error);
+    }
+  };
+
+  const switchChatModel = async (name) => {
+    const previous = chatModel;
+    setChatModel(name);
+
+    try {
+      const response = await fetch('/api/models', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ chatModel: name }),
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        setChatModel(previous);
+        alert(`Failed to switch model: ${data.error}`);
+      }
+    } catch (error) {
+      console.error('Error switching model:', error);
+      setChatModel(previous);
+      alert('Error switching model');
+    }
+  };
+
+  const loadPersonas = async () => {
+    try {
+      const response = await fetch('/api/personas');
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setPersonas(data.personas);
+          // Fall back to the default persona if none was chosen or the saved one was deleted
+          const savedPersona = localStorage.getItem('isha-persona');
+          if (!savedPersona || !data.personas.some(persona => persona.id === savedPersona)) {
+            setCurrentPersona(data.defaultPersona);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load personas:', error);
+    }
+  };
+
+  const switchPersona = (id) => {
+    setCurrentPersona(id);
+    localStorage.setItem('isha-persona', id);
+  };
+
+  const changeUserName = () => {
+    const name = prompt('What should the assistant call you?', userName);
+    if (name === null) {
+      return;
+    }
+
+    const trimmed = name.trim().slice(0, 100);
+    setUserName(trimmed);
+    localStorage.setItem('isha-user-name', trimmed);
+  };
+
+  const checkSystemStatus = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/ingest?workspace=${encodeURIComponent(currentWorkspace)}`);
       if (response.ok) {
         const data = await response.json();
         if (data.success) {
           setSystemStatus({
             ollama: true,
             chromadb: true,
-            embeddings: true
+            embeddings: true,
+            vectorStoreBackend: data.stats?.vectorStoreBackend || 'chroma'
           });
         }
       }
     } catch (error) {
       console.error('Failed to check system status:', error);
     }
-  };
+  }, [currentWorkspace]);
+
+  // Restore the last used workspace and load the workspace list on mount
+  useEffect(() => {
+    const savedWorkspace = localStorage.getItem('isha-workspace');
+    if (savedWorkspace) {
+      setCurrentWorkspace(savedWorkspace);
+    }
+    loadWorkspaces();
+  }, [loadWorkspaces]);
+
+  // Check system status on mount and whenever the workspace changes
+  useEffect(() => {
+    checkSystemStatus();
+  }, [checkSystemStatus]);
 
   const createNewConversation = () => {
     const newConversation = {
@@ -162,9 +366,60 @@ export default function Home() {
     }));
   };
 
+  // Earlier turns of this conversation, so follow-up questions keep their context.
+  // The server trims this further to its history budget.
+  const buildHistory = (earlierMessages) => earlierMessages
+    .filter(msg => (msg.type === 'user' || msg.type === 'assistant') && !msg.taskId && msg.content)
+    .slice(-20)
+    .map(msg => ({ role: msg.type, content: msg.content }));
+
+  // Run retrieval for the typed question, or else the last one asked, and show what the
+  // model would be given without generating an answer
+  const explainQuery = async () => {
+    let question = inputMessage.trim();
+    let earlierMessages = messages;
+    if (!question) {
+      const lastIndex = messages.findLastIndex(msg => msg.type === 'user' && !msg.taskId);
+      if (lastIndex === -1) {
+        setDebugResult({ error: 'Type a question or ask one first' });
+        return;
+      }
+      question = messages[lastIndex].content;
+      earlierMessages = messages.slice(0, lastIndex);
+    }
+
+    setDebugLoading(true);
+    try {
+      const response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          message: question,
+          debug: true,
+          workspace: currentWorkspace,
+          persona: currentPersona || undefined,
+          userName: userName || undefined,
+          history: buildHistory(earlierMessages)
+        }),
+      });
+
+      const data = await response.json();
+      setDebugResult(response.ok ? data : { error: data.details || data.error });
+    } catch (error) {
+      console.error('Error explaining query:', error);
+      setDebugResult({ error: error.message });
+    } finally {
+      setDebugLoading(false);
+    }
+  };
+
   const handleSendMessage = async (message, taskType = 'immediate') => {
     if (!message.trim()) return;
 
+    const history = buildHistory(messages);
+
     const userMessage = {
       id: Date.now(),
       type: 'user',
@@ -181,7 +436,7 @@ export default function Home() {
       if (taskType === 'long-running') {
         await handleLongRunningTask(message);
       } else {
-        await handleStreamingChat(message);
+        await handleStreamingChat(message, history);
       }
     } catch (error) {
       console.error('Error sending message:', error);
@@ -191,7 +446,28 @@ export default function Home() {
     }
   };
 
-  const handleStreamingChat = async (message) => {
+  const stopStreaming = () => {
+    streamAbortRef.current?.abort();
+  };
+
+  const handleStreamingChat = async (message, history = []) => {
+    const abortController = new AbortController();
+    streamAbortRef.current = abortController;
+    let assistantMessage = null;
+
+    // Show the latest state of the answer being streamed, and save it
+    const updateAssistantMessage = () => {
+      const replaceLast = prev => {
+        const updated = [...prev];
+        if (updated.length > 0) {
+          updated[updated.length - 1] = { ...assistantMessage };
+        }
+        return updated;
+      };
+      setMessages(replaceLast);
+      saveMessagesToConversation(replaceLast);
+    };
+
     try {
       const response = await fetch('/api/chat', {
         method: 'POST',
@@ -200,17 +476,20 @@ export default function Home() {
         },
         body: JSON.stringify({
           message,
-          stream: true
+          stream: true,
+          workspace: currentWorkspace,
+          persona: currentPersona || undefined,
+          userName: userName || undefined,
+          history
         }),
+        signal: abortController.signal,
       });
 
       if (!response.ok) {
         throw new Error('Failed to get response');
       }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let assistantMessage = {
+      assistantMessage = {
         id: Date.now() + 1,
         type: 'assistant',
         content: '',
@@ -222,64 +501,39 @@ export default function Home() {
       saveMessagesToConversation(prev => [...prev, assistantMessage]);
       setIsStreaming(true);
 
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              
-              if (data.type === 'chunk') {
-                assistantMessage.content += data.chunk;
-                setMessages(prev => {
-                  const updated = [...prev];
-                  if (updated.length > 0) {
-                    updated[updated.length - 1] = { ...assistantMessage };
-                  }
-                  return updated;
-                });
-                saveMessagesToConversation(prev => {
-                  const updated = [...prev];
-                  if (updated.length > 0) {
-                    updated[updated.length - 1] = { ...assistantMessage };
-                  }
-                  return updated;
-                });
-              } else if (data.type === 'complete') {
-                assistantMessage.sources = data.sources || [];
-                assistantMessage.metadata = data.metadata;
-                setMessages(prev => {
-                  const updated = [...prev];
-                  if (updated.length > 0) {
-                    updated[updated.length - 1] = { ...assistantMessage };
-                  }
-                  return updated;
-                });
-                saveMessagesToConversation(prev => {
-                  const updated = [...prev];
-                  if (updated.length > 0) {
-                    updated[updated.length - 1] = { ...assistantMessage };
-                  }
-                  return updated;
-                });
-              } else if (data.type === 'error') {
-                throw new Error(data.error);
-              }
-            } catch (parseError) {
-              console.error('Error parsing SSE data:', parseError);
-            }
+      await readEventStream(response, (data) => {
+        if (data.type === 'chunk') {
+          assistantMessage.content += data.chunk;
+          updateAssistantMessage();
+        } else if (data.type === 'complete') {
+          // The final text has its citation markers cleaned up
+          if (typeof data.response === 'string') {
+            assistantMessage.content = data.response;
           }
+          assistantMessage.sources = data.sources || [];
+          assistantMessage.citations = data.citations || [];
+          assistantMessage.verification = data.verification || null;
+          assistantMessage.metadata = data.metadata;
+          assistantMessage.stopped = Boolean(data.stopped);
+          updateAssistantMessage();
+        } else if (data.type === 'error') {
+          throw new Error(data.error);
         }
-      }
+      });
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep what was streamed before the user stopped it
+        if (assistantMessage) {
+          assistantMessage.stopped = true;
+          updateAssistantMessage();
+        }
+        return;
+      }
+
       console.error('Streaming chat error:', error);
       addErrorMessage('Failed to get streaming response. Please try again.');
     } finally {
+      streamAbortRef.current = null;
       setIsStreaming(false);
     }
   };
@@ -341,6 +595,29 @@ export default function Home() {
     ));
   };
 
+  // Turn [n] markers into chips that open the cited chunk
+  const renderMessageContent = (message) => {
+    if (!message.citations || message.citations.length === 0) {
+      return message.content;
+    }
+
+    return message.content.split(CODE_PATTERN).flatMap((segment, segmentIndex) => segmentIndex % 2 === 1 ? [segment] : segment.split(/(\[\d+\])/).map((part, index) => {
+      const citation = message.citations.find(c => `[${c.marker}]` === part);
+      if (!citation) return part;
+
+      return (
+        <button
+          key={`${segmentIndex}-${index}`}
+          onClick={() => setActiveCitation(citation)}
+          className="inline-flex items-center mx-0.5 px-1.5 text-xs font-medium rounded bg-blue-100 text-blue-700 hover:bg-blue-200 align-super"
+          title={citation.filename ? `${citation.filename}: ${citation.snippet}` : citation.snippet}
+        >
+          {citation.marker}
+        </button>
+      );
+    }));
+  };
+
   const addErrorMessage = (errorMessage) => {
     const errorMsg = {
       id: Date.now(),
@@ -361,6 +638,8 @@ export default function Home() {
 
     const formData = new FormData();
     formData.append('file', file);
+    formData.append('stream', 'true');
+    formData.append('workspace', currentWorkspace);
 
     try {
       const response = await fetch('/api/upload', {
@@ -368,13 +647,20 @@ export default function Home() {
         body: formData,
       });
 
-      const data = await response.json();
+      // Validation errors come back as plain JSON before any streaming starts
+      let data;
+      if (response.headers.get('Content-Type')?.includes('text/event-stream')) {
+        data = await readUploadStream(response);
+      } else {
+        data = await response.json();
+      }
 
       if (data.success) {
         setUploadStatus({
           type: 'success',
           message: `File uploaded successfully! Processed ${data.chunksProcessed} chunks.`
         });
+        loadWorkspaces();
         setTimeout(() => setUploadStatus(null), 5000);
       } else {
         setUploadStatus({
@@ -396,6 +682,25 @@ export default function Home() {
     }
   };
 
+  const readUploadStream = async (response) => {
+    let result = { success: false, error: 'Upload ended unexpectedly' };
+
+    await readEventStream(response, (data) => {
+      if (data.type === 'progress') {
+        setUploadStatus({
+          type: 'uploading',
+          message: `Embedding chunks... ${data.processed}/${data.total} (${data.percentage}%)`
+        });
+      } else if (data.type === 'complete') {
+        result = data;
+      } else if (data.type === 'error') {
+        result = { success: false, error: data.details || data.error };
+      }
+    });
+
+    return result;
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -413,14 +718,25 @@ export default function Home() {
   };
 
   // Document Management Functions
-  const loadDocuments = async () => {
+  const loadDocuments = useCallback(async () => {
     setDocumentsLoading(true);
     try {
-      const response = await fetch('/api/documents');
+      const params = new URLSearchParams({
+        page: String(documentsPage),
+        limit: '12',
+        sort: documentsSort,
+        workspace: currentWorkspace
+      });
+      if (documentsFileType) {
+        params.set('fileType', documentsFileType);
+      }
+
+      const response = await fetch(`/api/documents?${params}`);
       if (response.ok) {
         const data = await response.json();
         if (data.success) {
           setDocuments(data.documents || []);
+          setDocumentsTotalPages(Math.max(1, data.totalPages || 1));
         } else {
           console.error('Failed to load documents:', data.error);
         }
@@ -432,26 +748,24 @@ export default function Home() {
     } finally {
       setDocumentsLoading(false);
     }
-  };
+  }, [documentsPage, documentsSort, currentWorkspace, documentsFileType]);
 
-  const deleteDocument = async (filename) => {
+  const deleteDocument = async (document) => {
+    const { id, filename } = document;
     if (!confirm(`Are you sure you want to delete "${filename}"?`)) {
       return;
     }
 
     try {
-      const response = await fetch('/api/documents', {
+      const response = await fetch(`/api/documents/${id}?workspace=${encodeURIComponent(currentWorkspace)}`, {
         method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ filename }),
       });
 
       if (response.ok) {
         const data = await response.json();
         if (data.success) {
-          setDocuments(prev => prev.filter(doc => doc.filename !== filename));
+          setDocuments(prev => prev.filter(doc => doc.id !== id));
+          loadWorkspaces();
           alert(`Successfully deleted "${filename}"`);
         } else {
           alert(`Failed to delete document: ${data.error}`);
@@ -472,13 +786,12 @@ export default function Home() {
     }
 
     try {
-      const response = await fetch('/api/documents', {
+      const response = await fetch(`/api/documents/${editingDocument.id}?workspace=${encodeURIComponent(currentWorkspace)}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          filename: editingDocument.filename,
           newText: editText,
           newFilename: editFilename || editingDocument.filename,
         }),
@@ -487,12 +800,8 @@ export default function Home() {
       if (response.ok) {
         const data = await response.json();
         if (data.success) {
-          // Update the documents list
-          setDocuments(prev => prev.map(doc => 
-            doc.filename === editingDocument.filename 
-              ? { ...doc, filename: editFilename || editingDocument.filename }
-              : doc
-          ));
+          // Reload so the list shows the re-chunked content
+          loadDocuments();
           setShowEditModal(false);
           setEditingDocument(null);
           setEditText('');
@@ -510,9 +819,110 @@ export default function Home() {
     }
   };
 
+  const importSnapshot = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const send = (reembed) => fetch(
+      `/api/snapshot?workspace=${encodeURIComponent(currentWorkspace)}&onConflict=skip&reembed=${reembed}`,
+      { method: 'POST', body: file }
+    );
+
+    try {
+      setDocumentsLoading(true);
+      let response = await send(false);
+
+      // Snapshots from another embedding model can still be imported by re-embedding their text
+      if (response.status === 409) {
+        const data = await response.json();
+        if (!confirm(`${data.details}\n\nRe-embed the snapshot with the current model?`)) {
+          return;
+        }
+        response = await send(true);
+      }
+
+      const data = await response.json();
+      if (data.success) {
+        alert(`${data.message}${data.skipped ? `, skipped ${data.skipped} already present` : ''}`);
+        loadDocuments();
+        loadWorkspaces();
+      } else {
+        alert(`Failed to import snapshot: ${data.details || data.error}`);
+      }
+    } catch (error) {
+      console.error('Error importing snapshot:', error);
+      alert('Error importing snapshot');
+    } finally {
+      setDocumentsLoading(false);
+    }
+  };
+
   const viewDocument = (document) => {
     setSelectedDocument(document);
+    setDocumentVersions([]);
+    setPreviewVersion(null);
     setShowDocumentModal(true);
+    loadDocumentVersions(document.id);
+  };
+
+  const loadDocumentVersions = async (id) => {
+    try {
+      const response = await fetch(`/api/documents/${id}/versions?workspace=${encodeURIComponent(currentWorkspace)}`);
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setDocumentVersions(data.versions);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading document versions:', error);
+    }
+  };
+
+  const previewDocumentVersion = async (id, version) => {
+    try {
+      const response = await fetch(`/api/documents/${id}/versions/${version}?workspace=${encodeURIComponent(currentWorkspace)}`);
+      const data = await response.json();
+      if (data.success) {
+        setPreviewVersion(data.version);
+      } else {
+        alert(`Failed to load version ${version}: ${data.error}`);
+      }
+    } catch (error) {
+      console.error('Error loading document version:', error);
+      alert('Error loading document version');
+    }
+  };
+
+  const restoreDocumentVersion = async (id, version) => {
+    if (!confirm(`Restore version ${version}? The current content will be kept in the history.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/documents/${id}/versions/${version}?workspace=${encodeURIComponent(currentWorkspace)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ action: 'restore' }),
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        loadDocuments();
+        setShowDocumentModal(false);
+        setSelectedDocument(null);
+        setPreviewVersion(null);
+        alert(data.message);
+      } else {
+        alert(`Failed to restore version: ${data.error}`);
+      }
+    } catch (error) {
+      console.error('Error restoring document version:', error);
+      alert('Error restoring document version');
+    }
   };
 
   const editDocument = (document) => {
@@ -522,12 +932,12 @@ export default function Home() {
     setShowEditModal(true);
   };
 
-  // Load documents when documents section is opened
+  // Load documents when documents section is opened or the workspace, page, filter or sort changes
   useEffect(() => {
     if (showDocuments) {
       loadDocuments();
     }
-  }, [showDocuments]);
+  }, [showDocuments, loadDocuments]);
 
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
@@ -548,10 +958,78 @@ export default function Home() {
               <div className={`w-2 h-2 rounded-full ${systemStatus.ollama ? 'bg-green-500' : 'bg-red-500'}`} />
               <span className="text-xs text-gray-500">Ollama</span>
               <div className={`w-2 h-2 rounded-full ${systemStatus.chromadb ? 'bg-green-500' : 'bg-red-500'}`} />
-              <span className="text-xs text-gray-500">ChromaDB</span>
+              <span className="text-xs text-gray-500">{systemStatus.vectorStoreBackend === 'file' ? 'Local Store' : 'ChromaDB'}</span>
               <div className={`w-2 h-2 rounded-full ${systemStatus.embeddings ? 'bg-green-500' : 'bg-red-500'}`} />
               <span className="text-xs text-gray-500">Embeddings</span>
             </div>
+
+            {/* Workspace switcher */}
+            <div className="flex items-center space-x-1">
+              <select
+                value={currentWorkspace}
+                onChange={(e) => switchWorkspace(e.target.value)}
+                className="px-2 py-2 text-sm border border-gray-300 rounded-lg text-gray-700 max-w-[10rem]"
+                title="Workspace"
+              >
+                {workspaces.length === 0 && <option value={currentWorkspace}>{currentWorkspace}</option>}
+                {workspaces.map(workspace => (
+                  <option key={workspace.id} value={workspace.id}>
+                    {workspace.name} ({workspace.documentCount})
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={createWorkspace}
+                className="p-2 text-gray-600 hover:text-gray-800 transition-colors"
+                title="New workspace"
+              >
+                <Plus className="h-4 w-4" />
+              </button>
+            </div>
+
+            {/* Chat model selector */}
+            {chatModels.length > 0 && (
+              <select
+                value={chatModel}
+                onChange={(e) => switchChatModel(e.target.value)}
+                disabled={isLoading || isStreaming}
+                className="hidden lg:block px-2 py-2 text-sm border border-gray-300 rounded-lg text-gray-700 max-w-[10rem]"
+                title="Chat model"
+              >
+                {!chatModels.some(model => model.name === chatModel || model.name === `${chatModel}:latest`) && (
+                  <option value={chatModel}>{chatModel}</option>
+                )}
+                {chatModels.map(model => (
+                  <option key={model.name} value={model.name === `${chatModel}:latest` ? chatModel : model.name}>
+                    {model.name}{model.parameterSize ? ` (${model.parameterSize})` : ''}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {/* Persona picker */}
+            <div className="flex items-center space-x-1">
+              <select
+                value={currentPersona}
+                onChange={(e) => switchPersona(e.target.value)}
+                className="px-2 py-2 text-sm border border-gray-300 rounded-lg text-gray-700 max-w-[10rem]"
+                title={personas.find(persona => persona.id === currentPersona)?.description || 'Persona'}
+              >
+                {personas.length === 0 && <option value={currentPersona}>{currentPersona || 'Persona'}</option>}
+                {personas.map(persona => (
+                  <option key={persona.id} value={persona.id}>
+                    {persona.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={changeUserName}
+                className="p-2 text-gray-600 hover:text-gray-800 transition-colors"
+                title={userName ? `Talking as ${userName}` : 'Set your name'}
+              >
+                <User className="h-4 w-4" />
+              </button>
+            </div>
             
             <button
               onClick={() => setShowHistory(!showHistory)}
@@ -569,6 +1047,15 @@ export default function Home() {
               <span className="hidden sm:inline">Documents</span>
             </button>
             
+            <button
+              onClick={() => setShowDebug(!showDebug)}
+              className="flex items-center space-x-2 px-3 py-2 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+              title="See what retrieval finds for a question"
+            >
+              <Bug className="h-4 w-4" />
+              <span className="hidden sm:inline">Debug</span>
+            </button>
+
             <button
               onClick={() => setShowUpload(!showUpload)}
               className="flex items-center space-x-2 px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
@@ -692,25 +1179,187 @@ export default function Home() {
         </div>
       )}
 
-      {/* Documents Section */}
-      {showDocuments && (
+      {/* Retrieval Debug Panel */}
+      {showDebug && (
         <div className="bg-white border-b px-4 py-4">
           <div className="max-w-6xl mx-auto">
             <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-medium text-gray-900">Document Management</h3>
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Retrieval Debug</h3>
+                <p className="text-xs text-gray-500">Explains the question in the input box, or else the last one asked</p>
+              </div>
               <button
-                onClick={loadDocuments}
-                disabled={documentsLoading}
-                className="flex items-center space-x-2 px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+                onClick={explainQuery}
+                disabled={debugLoading}
+                className="flex items-center space-x-2 px-3 py-2 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50"
               >
-                {documentsLoading ? (
-                  <Loader2 className="h-4 w-4 animate-spin" />
-                ) : (
-                  <FileText className="h-4 w-4" />
-                )}
-                <span>Refresh</span>
+                {debugLoading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Bug className="h-4 w-4" />}
+                <span>Explain</span>
               </button>
             </div>
+
+            {debugResult?.error && (
+              <div className="flex items-center space-x-2 px-3 py-2 rounded-lg bg-red-100 text-red-700 text-sm">
+                <AlertCircle className="h-4 w-4" />
+                <span>{debugResult.error}</span>
+              </div>
+            )}
+
+            {debugResult?.success && (
+              <div className="space-y-4 max-h-[60vh] overflow-y-auto">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm text-gray-700">
+                  <div><span className="font-medium">Question:</span> {debugResult.query}</div>
+                  <div><span className="font-medium">Searched as:</span> {debugResult.searchQuery}</div>
+                  {debugResult.subQueries?.length > 0 && (
+                    <div className="sm:col-span-2">
+                      <span className="font-medium">Expanded queries:</span> {debugResult.subQueries.join(' | ')}
+                    </div>
+                  )}
+                  <div>
+                    <span className="font-medium">Retrieval:</span> {debugResult.metadata.retrievalMode}, {debugResult.metadata.retrievalStrategy}
+                    {debugResult.metadata.reranked && ', reranked'}
+                    {debugResult.metadata.diversified && ', MMR'}
+                  </div>
+                  <div>
+                    <span className="font-medium">Relevance threshold:</span> {debugResult.metadata.relevanceThreshold}
+                    {debugResult.metadata.ungrounded && ' (nothing cleared it)'}
+                  </div>
+                  <div><span className="font-medium">Filters:</span> {debugResult.filters ? JSON.stringify(debugResult.filters) : 'none'}</div>
+                  <div>
+                    <span className="font-medium">Tokens:</span> {debugResult.metadata.tokens.total} of {debugResult.metadata.tokens.contextWindow}
+                    {debugResult.metadata.contextTruncated && ' (context truncated)'}
+                  </div>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs text-left text-gray-700">
+                    <thead className="bg-gray-50 text-gray-500">
+                      <tr>
+                        <th className="px-2 py-1">#</th>
+                        <th className="px-2 py-1">Document</th>
+                        <th className="px-2 py-1">Section</th>
+                        <th className="px-2 py-1">Distance</th>
+                        <th className="px-2 py-1">Relevance</th>
+                        <th className="px-2 py-1">Fused score</th>
+                        <th className="px-2 py-1">Rerank score</th>
+                        <th className="px-2 py-1">Status</th>
+                        <th className="px-2 py-1">Text</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {debugResult.candidates.map((candidate, index) => (
+                        <tr key={`${candidate.id}-${index}`} className="border-t align-top">
+                          <td className="px-2 py-1">{index + 1}</td>
+                          <td className="px-2 py-1">{candidate.filename}</td>
+                          <td className="px-2 py-1">
+                            {typeof candidate.chunkIndex === 'number' ? candidate.chunkIndex + 1 : '-'}
+                            {candidate.neighborOf && <span className="text-gray-400"> (neighbor)</span>}
+                          </td>
+                          <td className="px-2 py-1">{candidate.distance?.toFixed(4) ?? '-'}</td>
+                          <td className="px-2 py-1">{candidate.relevance !== null ? `${(candidate.relevance * 100).toFixed(1)}%` : '-'}</td>
+                          <td className="px-2 py-1">{candidate.retrievalScore?.toFixed(4) ?? '-'}</td>
+                          <td className="px-2 py-1">{candidate.rerankScore?.toFixed(2) ?? '-'}</td>
+                          <td className={`px-2 py-1 ${candidate.status === 'used' ? 'text-green-700' : 'text-red-600'}`}>
+                            {candidate.status === 'used' ? 'used' : candidate.status === 'overBudget' ? 'no room' : 'below threshold'}
+                          </td>
+                          <td className="px-2 py-1 text-gray-500">{candidate.text.slice(0, 120)}{candidate.text.length > 120 && '…'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {debugResult.candidates.length === 0 && (
+                    <p className="text-sm text-gray-500 py-2">No chunks were retrieved</p>
+                  )}
+                </div>
+
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900 mb-1">
+                    Prompt{debugResult.prompt && ` for ${debugResult.prompt.model}`}
+                  </h4>
+                  {debugResult.prompt ? (
+                    <pre className="text-xs text-gray-700 whitespace-pre-wrap bg-gray-50 p-3 rounded-lg">
+                      {debugResult.prompt.messages.map(msg => `--- ${msg.role} ---\n${msg.content}`).join('\n\n')}
+                    </pre>
+                  ) : (
+                    <p className="text-sm text-gray-500">None: with nothing relevant found, the answer would be the fixed &quot;not in your documents&quot; reply</p>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Documents Section */}
+      {showDocuments && (
+        <div className="bg-white border-b px-4 py-4">
+          <div className="max-w-6xl mx-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Document Management</h3>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={documentsFileType}
+                  onChange={(e) => {
+                    setDocumentsFileType(e.target.value);
+                    setDocumentsPage(1);
+                  }}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded text-gray-700"
+                >
+                  <option value="">All types</option>
+                  <option value="pdf">PDF</option>
+                  <option value="md">Markdown</option>
+                  <option value="txt">Text</option>
+                </select>
+                <select
+                  value={documentsSort}
+                  onChange={(e) => {
+                    setDocumentsSort(e.target.value);
+                    setDocumentsPage(1);
+                  }}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded text-gray-700"
+                >
+                  <option value="createdAt:desc">Newest first</option>
+                  <option value="createdAt:asc">Oldest first</option>
+                  <option value="filename:asc">Name A-Z</option>
+                  <option value="filename:desc">Name Z-A</option>
+                  <option value="chunkCount:desc">Most chunks</option>
+                </select>
+                <button
+                  onClick={loadDocuments}
+                  disabled={documentsLoading}
+                  className="flex items-center space-x-2 px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                  {documentsLoading ? (
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                  ) : (
+                    <FileText className="h-4 w-4" />
+                  )}
+                  <span>Refresh</span>
+                </button>
+                <a
+                  href={`/api/snapshot?workspace=${encodeURIComponent(currentWorkspace)}`}
+                  className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                  title="Download a backup of this workspace"
+                >
+                  Export
+                </a>
+                <input
+                  ref={snapshotInputRef}
+                  type="file"
+                  accept=".jsonl"
+                  onChange={importSnapshot}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => snapshotInputRef.current?.click()}
+                  disabled={documentsLoading}
+                  className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors disabled:opacity-50"
+                  title="Restore documents from a backup"
+                >
+                  Import
+                </button>
+              </div>
+            </div>
             
             {documentsLoading ? (
               <div className="text-center py-8">
@@ -727,7 +1376,7 @@ export default function Home() {
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
                 {documents.map((document) => (
                   <div
-                    key={document.filename}
+                    key={document.id}
                     className="p-4 rounded-lg border border-gray-200 bg-gray-50 hover:bg-gray-100 transition-colors"
                   >
                     <div className="flex items-start justify-between mb-3">
@@ -739,7 +1388,7 @@ export default function Home() {
                           {document.fileType.toUpperCase()} • {document.chunkCount} chunks
                         </p>
                         <p className="text-xs text-gray-400 mt-1">
-                          {new Date(document.uploadDate).toLocaleDateString()}
+                          {new Date(document.createdAt).toLocaleDateString()}
                         </p>
                         <p className="text-xs text-gray-400">
                           {Math.round(document.totalTextLength / 1024)} KB
@@ -763,7 +1412,7 @@ export default function Home() {
                         <span>Edit</span>
                       </button>
                       <button
-                        onClick={() => deleteDocument(document.filename)}
+                        onClick={() => deleteDocument(document)}
                         className="flex-1 flex items-center justify-center space-x-1 px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200 transition-colors"
                       >
                         <Trash2 className="h-3 w-3" />
@@ -774,6 +1423,28 @@ export default function Home() {
                 ))}
               </div>
             )}
+
+            {documentsTotalPages > 1 && (
+              <div className="flex items-center justify-center space-x-4 mt-4">
+                <button
+                  onClick={() => setDocumentsPage(page => Math.max(1, page - 1))}
+                  disabled={documentsPage <= 1 || documentsLoading}
+                  className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span className="text-sm text-gray-500">
+                  Page {documentsPage} of {documentsTotalPages}
+                </span>
+                <button
+                  onClick={() => setDocumentsPage(page => Math.min(documentsTotalPages, page + 1))}
+                  disabled={documentsPage >= documentsTotalPages || documentsLoading}
+                  className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -819,15 +1490,55 @@ export default function Home() {
                     )}
                     
                     <div className="flex-1 min-w-0">
-                      <div className="whitespace-pre-wrap break-words">{message.content}</div>
+                      <div className="whitespace-pre-wrap break-words">{renderMessageContent(message)}</div>
+
+                      {message.stopped && (
+                        <div className="mt-2 flex items-center space-x-1 text-xs text-gray-500">
+                          <Square className="h-3 w-3" />
+                          <span>Stopped</span>
+                        </div>
+                      )}
+
+                      {message.metadata?.ungrounded && (
+                        <div className="mt-2 flex items-center space-x-1 text-xs text-amber-600">
+                          <AlertCircle className="h-3 w-3" />
+                          <span>Not found in your documents</span>
+                        </div>
+                      )}
+
+                      {message.verification?.success && typeof message.verification.score === 'number' && (
+                        <div className={`mt-2 text-xs ${message.verification.flagged ? 'text-amber-600' : 'text-green-600'}`}>
+                          <div className="flex items-center space-x-1">
+                            {message.verification.flagged ? (
+                              <AlertCircle className="h-3 w-3" />
+                            ) : (
+                              <CheckCircle className="h-3 w-3" />
+                            )}
+                            <span>Grounded {Math.round(message.verification.score * 100)}%</span>
+                          </div>
+                          {message.verification.unsupported.length > 0 && (
+                            <div className="mt-1 bg-amber-50 border border-amber-200 rounded px-2 py-1">
+                              <p className="text-amber-700 mb-1">Not backed by your documents:</p>
+                              <ul className="list-disc list-inside space-y-0.5 text-gray-700">
+                                {message.verification.unsupported.map((sentence, index) => (
+                                  <li key={index}>{sentence}</li>
+                                ))}
+                              </ul>
+                            </div>
+                          )}
+                        </div>
+                      )}
                       
                       {message.sources && message.sources.length > 0 && (
                         <div className="mt-2 pt-2 border-t border-gray-200">
                           <p className="text-xs text-gray-500 mb-1">Sources:</p>
                           <div className="space-y-1">
                             {message.sources.map((source, index) => (
-                              <div key={index} className="text-xs text-gray-600 bg-gray-50 px-2 py-1 rounded">
-                                Document {index + 1}
+                              <div key={index} className="text-xs text-gray-600 bg-gray-50 px-2 py-1 rounded" title={source.text}>
+                                {source.filename || `Document ${index + 1}`}
+                                {typeof source.rerankScore === 'number' && (
+                                  <span className="ml-2 text-gray-400">relevance {Math.round(source.rerankScore * 100)}%</span>
+                                )}
                               </div>
                             ))}
                           </div>
@@ -896,13 +1607,23 @@ export default function Home() {
                 <Loader2 className="h-5 w-5" />
               </button>
               
-              <button
-                onClick={() => handleSendMessage(inputMessage)}
-                disabled={!inputMessage.trim() || isLoading || isStreaming}
-                className="px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                <Send className="h-5 w-5" />
-              </button>
+              {isLoading || isStreaming ? (
+                <button
+                  onClick={stopStreaming}
+                  className="px-4 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                  title="Stop generating"
+                >
+                  <Square className="h-5 w-5" />
+                </button>
+              ) : (
+                <button
+                  onClick={() => handleSendMessage(inputMessage)}
+                  disabled={!inputMessage.trim()}
+                  className="px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Send className="h-5 w-5" />
+                </button>
+              )}
             </div>
           </div>
           
@@ -924,6 +1645,7 @@ export default function Home() {
                 onClick={() => {
                   setShowDocumentModal(false);
                   setSelectedDocument(null);
+                  setPreviewVersion(null);
                 }}
                 className="text-gray-400 hover:text-gray-600"
               >
@@ -947,7 +1669,7 @@ export default function Home() {
                   </div>
                   <div>
                     <span className="text-gray-500">Uploaded:</span>
-                    <p className="font-medium">{new Date(selectedDocument.uploadDate).toLocaleDateString()}</p>
+                    <p className="font-medium">{new Date(selectedDocument.createdAt).toLocaleDateString()}</p>
                   </div>
                 </div>
                 <div className="border-t pt-4">
@@ -958,6 +1680,61 @@ export default function Home() {
                     </pre>
                   </div>
                 </div>
+                {documentVersions.length > 0 && (
+                  <div className="border-t pt-4">
+                    <h4 className="text-sm font-medium text-gray-900 mb-2">Version History:</h4>
+                    <div className="space-y-2">
+                      {documentVersions.map(entry => (
+                        <div key={entry.version} className="flex items-center justify-between text-sm bg-gray-50 px-3 py-2 rounded-lg">
+                          <div>
+                            <span className="font-medium">v{entry.version}</span>
+                            {entry.version === selectedDocument.version && (
+                              <span className="ml-2 text-xs text-green-600">current</span>
+                            )}
+                            <span className="ml-2 text-gray-500">
+                              {entry.filename} · {new Date(entry.createdAt).toLocaleString()}
+                              {entry.restoredFrom && ` · restored from v${entry.restoredFrom}`}
+                            </span>
+                          </div>
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => previewDocumentVersion(selectedDocument.id, entry.version)}
+                              className="text-blue-600 hover:text-blue-800"
+                            >
+                              View
+                            </button>
+                            {entry.version !== selectedDocument.version && (
+                              <button
+                                onClick={() => restoreDocumentVersion(selectedDocument.id, entry.version)}
+                                className="text-yellow-600 hover:text-yellow-800"
+                              >
+                                Restore
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    {previewVersion && (
+                      <div className="mt-3">
+                        <div className="flex items-center justify-between mb-1">
+                          <span className="text-xs text-gray-500">Version {previewVersion.version}</span>
+                          <button
+                            onClick={() => setPreviewVersion(null)}
+                            className="text-xs text-gray-400 hover:text-gray-600"
+                          >
+                            Close
+                          </button>
+                        </div>
+                        <div className="bg-gray-50 p-4 rounded-lg max-h-64 overflow-y-auto">
+                          <pre className="text-sm text-gray-700 whitespace-pre-wrap font-sans">
+                            {previewVersion.text}
+                          </pre>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -1031,6 +1808,39 @@ export default function Home() {
           </div>
         </div>
       )}
+
+      {/* Citation Modal */}
+      {activeCitation && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[80vh] overflow-hidden">
+            <div className="flex items-center justify-between p-4 border-b">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">
+                  [{activeCitation.marker}] {activeCitation.filename || 'Source'}
+                </h3>
+                {typeof activeCitation.chunkIndex === 'number' && (
+                  <p className="text-xs text-gray-500">
+                    {activeCitation.lastChunkIndex > activeCitation.chunkIndex
+                      ? `Sections ${activeCitation.chunkIndex + 1}-${activeCitation.lastChunkIndex + 1}`
+                      : `Section ${activeCitation.chunkIndex + 1}`}
+                  </p>
+                )}
+              </div>
+              <button
+                onClick={() => setActiveCitation(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+            <div className="p-4 overflow-y-auto max-h-[60vh]">
+              <pre className="text-sm text-gray-700 whitespace-pre-wrap bg-gray-50 p-4 rounded-lg">
+                {activeCitation.text}
+              </pre>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
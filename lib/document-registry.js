@@ -0,0 +1,263 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { JsonFileWriter } from './json-file.js';
+
+// Source of truth for which documents exist and which chunks belong to them.
+// One JSON file per collection, kept in memory and rewritten on every change.
+// The full text of each document version is kept alongside in plain text files.
+class DocumentRegistry {
+  constructor(options = {}) {
+    this.collectionName = options.collectionName || process.env.CHROMADB_COLLECTION_NAME || 'documents';
+    this.dataDir = process.env.DOCUMENT_REGISTRY_PATH || path.join(process.cwd(), '.data', 'registry');
+    this.documents = null;
+    this.writer = new JsonFileWriter();
+  }
+
+  // Returns a registry for another collection
+  withCollection(collectionName) {
+    return new DocumentRegistry({ collectionName });
+  }
+
+  getRegistryFile() {
+    return path.join(this.dataDir, `${this.collectionName}.json`);
+  }
+
+  // Ids can come from imported snapshots, so the resolved path must stay inside the data directory
+  getVersionsDir(id) {
+    const root = path.resolve(this.dataDir, 'versions', this.collectionName);
+    const dir = path.resolve(root, String(id));
+    if (path.dirname(dir) !== root) {
+      throw new Error(`Invalid document id: ${id}`);
+    }
+    return dir;
+  }
+
+  getVersionFile(id, version) {
+    if (!Number.isInteger(Number(version)) || Number(version) < 1) {
+      throw new Error(`Invalid document version: ${version}`);
+    }
+    return path.join(this.getVersionsDir(id), `${Number(version)}.txt`);
+  }
+
+  async initialize() {
+    try {
+      if (this.documents) return true;
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.getRegistryFile(), 'utf-8'));
+        this.documents = new Map((data.documents || []).map(doc => [doc.id, this.withHistory(doc)]));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        this.documents = new Map();
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`❌ Document registry initialization failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Registries written before versioning have no history; treat their current state as version 1
+  withHistory(document) {
+    if (document.versions) {
+      return document;
+    }
+
+    return {
+      ...document,
+      version: 1,
+      versions: [{
+        version: 1,
+        filename: document.filename,
+        checksum: document.checksum,
+        fileSize: document.fileSize,
+        chunkCount: document.chunkCount,
+        createdAt: document.createdAt
+      }]
+    };
+  }
+
+  async persist() {
+    const documents = Array.from(this.documents.values());
+    return this.writer.write(this.getRegistryFile(), { documents }, { pretty: true });
+  }
+
+  computeChecksum(content) {
+    return createHash('sha256').update(content).digest('hex');
+  }
+
+  generateId() {
+    return uuidv4();
+  }
+
+  async list() {
+    await this.initialize();
+    return Array.from(this.documents.values());
+  }
+
+  async get(id) {
+    await this.initialize();
+    return this.documents.get(id) || null;
+  }
+
+  async findByChecksum(checksum) {
+    await this.initialize();
+    return Array.from(this.documents.values()).find(doc => doc.checksum === checksum) || null;
+  }
+
+  async create({ id, filename, checksum, fileType, fileSize, chunkIds }) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    const document = {
+      id: id || this.generateId(),
+      filename,
+      checksum,
+      fileType,
+      fileSize,
+      chunkIds,
+      chunkCount: chunkIds.length,
+      version: 1,
+      versions: [{
+        version: 1,
+        filename,
+        checksum,
+        fileSize,
+        chunkCount: chunkIds.length,
+        createdAt: now
+      }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.documents.set(document.id, document);
+    await this.persist();
+
+    return document;
+  }
+
+  async update(id, changes) {
+    await this.initialize();
+
+    const existing = this.documents.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const document = {
+      ...existing,
+      ...changes,
+      id,
+      updatedAt: new Date().toISOString()
+    };
+    document.chunkCount = document.chunkIds.length;
+
+    this.documents.set(id, document);
+    await this.persist();
+
+    return document;
+  }
+
+  // Insert a document exactly as given, e.g. one read back from a snapshot
+  async put(document) {
+    await this.initialize();
+
+    const stored = this.withHistory({
+      ...document,
+      chunkCount: document.chunkIds.length
+    });
+
+    this.documents.set(stored.id, stored);
+    await this.persist();
+
+    return stored;
+  }
+
+  // Point the document at a new set of chunks and append an entry to its history
+  async addVersion(id, { filename, checksum, fileType, fileSize, chunkIds, restoredFrom = null }) {
+    await this.initialize();
+
+    const existing = this.documents.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const version = existing.version + 1;
+    const entry = {
+      version,
+      filename,
+      checksum,
+      fileSize,
+      chunkCount: chunkIds.length,
+      createdAt: new Date().toISOString()
+    };
+
+    if (restoredFrom) {
+      entry.restoredFrom = restoredFrom;
+    }
+
+    return this.update(id, {
+      filename,
+      checksum,
+      fileType,
+      fileSize,
+      chunkIds,
+      version,
+      versions: [...existing.versions, entry]
+    });
+  }
+
+  async saveVersionText(id, version, text) {
+    const file = this.getVersionFile(id, version);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, text, 'utf-8');
+  }
+
+  async getVersionText(id, version) {
+    try {
+      return await fs.readFile(this.getVersionFile(id, version), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(id) {
+    await this.initialize();
+
+    const existing = this.documents.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    this.documents.delete(id);
+    await this.persist();
+    await fs.rm(this.getVersionsDir(id), { recursive: true, force: true });
+
+    return existing;
+  }
+
+  async clear() {
+    await this.initialize();
+    this.documents.clear();
+    await this.persist();
+    await fs.rm(path.join(this.dataDir, 'versions', this.collectionName), { recursive: true, force: true });
+  }
+
+  // Removes the registry file itself, for collections that are being deleted
+  async destroy() {
+    await this.writer.flush();
+    await fs.rm(this.getRegistryFile(), { force: true });
+    await fs.rm(path.join(this.dataDir, 'versions', this.collectionName), { recursive: true, force: true });
+    this.documents = null;
+  }
+}
+
+export const documentRegistry = new DocumentRegistry();
@@ -0,0 +1,485 @@
+import { ragService, reembeddingConflict } from './rag.js';
+import { parseDocumentChunks } from './parse-documents.js';
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'filename', 'fileSize', 'chunkCount'];
+
+class DocumentService {
+  constructor(options = {}) {
+    this.ragService = options.ragService || ragService;
+    this.vectorStore = this.ragService.vectorStore;
+    this.documentRegistry = this.ragService.documentRegistry;
+    this.isInitialized = false;
+  }
+
+  withCollection(collectionName) {
+    return new DocumentService({
+      ragService: this.ragService.withCollection(collectionName)
+    });
+  }
+
+  async initialize() {
+    try {
+      if (this.isInitialized) return true;
+
+      const registryOk = await this.documentRegistry.initialize();
+      if (!registryOk) {
+        throw new Error('Failed to initialize document registry');
+      }
+
+      await this.backfillRegistry();
+
+      this.isInitialized = true;
+      return true;
+    } catch (error) {
+      console.error('❌ Document service initialization failed:', error);
+      return false;
+    }
+  }
+
+  // Register chunks stored before the registry existed, one document per filename
+  async backfillRegistry() {
+    const registered = new Set();
+    for (const doc of await this.documentRegistry.list()) {
+      doc.chunkIds.forEach(id => registered.add(id));
+    }
+
+    const listResult = await this.vectorStore.list({ include: ['metadatas'] });
+    if (!listResult.success) {
+      throw new Error(`Failed to list chunks: ${listResult.error}`);
+    }
+
+    const groups = {};
+    listResult.ids.forEach((id, index) => {
+      if (registered.has(id)) return;
+
+      const metadata = listResult.metadatas[index] || {};
+      const key = metadata.documentId || metadata.filename || 'Unknown';
+      if (!groups[key]) {
+        groups[key] = { metadata, chunkIds: [] };
+      }
+      groups[key].chunkIds.push(id);
+    });
+
+    for (const { metadata, chunkIds } of Object.values(groups)) {
+      await this.documentRegistry.create({
+        id: metadata.documentId,
+        filename: metadata.filename || 'Unknown',
+        checksum: null,
+        fileType: metadata.fileType || 'unknown',
+        fileSize: metadata.fileSize || 0,
+        chunkIds
+      });
+    }
+
+    if (Object.keys(groups).length > 0) {
+      console.log(`✅ Registered ${Object.keys(groups).length} existing documents`);
+    }
+  }
+
+  getSortFields() {
+    return SORT_FIELDS;
+  }
+
+  async addDocument({ filename, fileType, fileSize, checksum, chunks, text = null }, options = {}) {
+    try {
+      if (this.ragService.isReembedding()) {
+        return reembeddingConflict();
+      }
+
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const documentId = this.documentRegistry.generateId();
+      const duplicate = checksum ? await this.documentRegistry.findByChecksum(checksum) : null;
+
+      const ingestResult = await this.ragService.addDocumentToKnowledgeBase(
+        chunks.map(chunk => ({ ...chunk, documentId })),
+        options
+      );
+
+      if (!ingestResult.success) {
+        throw new Error(ingestResult.error);
+      }
+
+      const document = await this.documentRegistry.create({
+        id: documentId,
+        filename,
+        checksum,
+        fileType,
+        fileSize,
+        chunkIds: ingestResult.chunkIds
+      });
+
+      if (text !== null) {
+        await this.documentRegistry.saveVersionText(documentId, document.version, text);
+      }
+
+      return {
+        success: true,
+        document,
+        chunksAdded: ingestResult.chunksAdded,
+        totalChunks: ingestResult.totalChunks,
+        duplicateOf: duplicate ? duplicate.id : null
+      };
+    } catch (error) {
+      console.error('Failed to add document:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async listDocuments({ page = 1, limit = 20, fileType = null, sort = 'createdAt:desc' } = {}) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const [sortField, sortDirection = 'desc'] = sort.split(':');
+      if (!SORT_FIELDS.includes(sortField) || !['asc', 'desc'].includes(sortDirection)) {
+        throw new Error(`Invalid sort parameter. Valid fields: ${SORT_FIELDS.join(', ')}`);
+      }
+
+      const direction = sortDirection === 'asc' ? 1 : -1;
+      const documents = (await this.documentRegistry.list())
+        .filter(doc => !fileType || doc.fileType === fileType.toLowerCase())
+        .sort((a, b) => {
+          if (a[sortField] < b[sortField]) return -1 * direction;
+          if (a[sortField] > b[sortField]) return 1 * direction;
+          return 0;
+        });
+
+      const total = documents.length;
+      const pageDocuments = [];
+      for (const doc of documents.slice((page - 1) * limit, page * limit)) {
+        pageDocuments.push(await this.withChunks(doc));
+      }
+
+      return {
+        success: true,
+        documents: pageDocuments,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        sort: `${sortField}:${sortDirection}`
+      };
+    } catch (error) {
+      console.error('Failed to list documents:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async withChunks(document) {
+    if (document.chunkIds.length === 0) {
+      return { ...document, chunks: [], totalTextLength: 0 };
+    }
+
+    const chunkResult = await this.vectorStore.get({
+      ids: document.chunkIds,
+      limit: document.chunkIds.length
+    });
+
+    if (!chunkResult.success) {
+      throw new Error(`Failed to retrieve document chunks: ${chunkResult.error}`);
+    }
+
+    const chunks = chunkResult.ids.map((id, index) => {
+      const metadata = chunkResult.metadatas[index] || {};
+      return {
+        id,
+        text: chunkResult.results[index] || '',
+        chunkIndex: metadata.chunkIndex || 0,
+        metadata
+      };
+    }).sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+    return {
+      ...document,
+      chunks,
+      totalTextLength: chunks.reduce((sum, chunk) => sum + chunk.text.length, 0)
+    };
+  }
+
+  async getDocument(id) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const document = await this.documentRegistry.get(id);
+      if (!document) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Document not found'
+        };
+      }
+
+      return {
+        success: true,
+        document: await this.withChunks(document)
+      };
+    } catch (error) {
+      console.error('Failed to get document:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async updateDocument(id, { text, filename }) {
+    try {
+      if (this.ragService.isReembedding()) {
+        return reembeddingConflict();
+      }
+
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const document = await this.documentRegistry.get(id);
+      if (!document) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Document not found'
+        };
+      }
+
+      return await this.replaceContent(document, {
+        text,
+        filename: filename || document.filename
+      });
+    } catch (error) {
+      console.error('Failed to update document:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Swap a document's chunks for a new version of its text. The new chunks are
+  // stored before the old ones are removed, so a failure part way through never
+  // leaves the document without content.
+  async replaceContent(document, { text, filename, restoredFrom = null }) {
+    // Make sure the outgoing version stays retrievable, even for documents
+    // uploaded before their text was kept
+    if (await this.documentRegistry.getVersionText(document.id, document.version) === null) {
+      const current = await this.withChunks(document);
+      await this.documentRegistry.saveVersionText(
+        document.id,
+        document.version,
+        current.chunks.map(chunk => chunk.text).join('\n\n')
+      );
+    }
+
+    // Parse the new text into chunks (similar to upload process)
+    const buffer = Buffer.from(text, 'utf-8');
+    const parseResult = await parseDocumentChunks(buffer, filename, 'txt');
+
+    if (!parseResult.success) {
+      throw new Error(`Failed to parse new text: ${parseResult.error}`);
+    }
+
+    const ingestResult = await this.ragService.addDocumentToKnowledgeBase(
+      parseResult.chunks.map(chunk => ({ ...chunk, documentId: document.id }))
+    );
+
+    if (!ingestResult.success) {
+      throw new Error(`Failed to add updated chunks: ${ingestResult.error}`);
+    }
+
+    let updated;
+    try {
+      await this.documentRegistry.saveVersionText(document.id, document.version + 1, text);
+      updated = await this.documentRegistry.addVersion(document.id, {
+        filename,
+        checksum: this.documentRegistry.computeChecksum(buffer),
+        fileType: 'txt',
+        fileSize: buffer.length,
+        chunkIds: ingestResult.chunkIds,
+        restoredFrom
+      });
+    } catch (error) {
+      // Roll back to the old chunks, which are still in place
+      await this.vectorStore.deleteDocuments(ingestResult.chunkIds);
+      throw error;
+    }
+
+    // Only now retire the old chunks
+    let warning = null;
+    if (document.chunkIds.length > 0) {
+      const deleteResult = await this.vectorStore.deleteDocuments(document.chunkIds);
+      if (!deleteResult.success) {
+        warning = `Previous chunks could not be removed: ${deleteResult.error}`;
+        console.warn(`⚠️ ${warning}`);
+      }
+    }
+
+    return {
+      success: true,
+      document: updated,
+      chunksAdded: ingestResult.chunksAdded,
+      warning
+    };
+  }
+
+  async listVersions(id) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const document = await this.documentRegistry.get(id);
+      if (!document) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Document not found'
+        };
+      }
+
+      return {
+        success: true,
+        currentVersion: document.version,
+        versions: [...document.versions].reverse()
+      };
+    } catch (error) {
+      console.error('Failed to list document versions:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async getVersion(id, version) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const document = await this.documentRegistry.get(id);
+      const entry = document?.versions.find(v => v.version === version);
+      if (!entry) {
+        return {
+          success: false,
+          notFound: true,
+          error: document ? `Version ${version} not found` : 'Document not found'
+        };
+      }
+
+      let text = await this.documentRegistry.getVersionText(id, version);
+      if (text === null && version === document.version) {
+        const current = await this.withChunks(document);
+        text = current.chunks.map(chunk => chunk.text).join('\n\n');
+      }
+
+      if (text === null) {
+        return {
+          success: false,
+          notFound: true,
+          error: `Text for version ${version} is not available`
+        };
+      }
+
+      return {
+        success: true,
+        version: { ...entry, current: version === document.version, text }
+      };
+    } catch (error) {
+      console.error('Failed to get document version:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Restoring re-applies an old version's text as a new version, so history is never rewritten
+  async restoreVersion(id, version) {
+    try {
+      if (this.ragService.isReembedding()) {
+        return reembeddingConflict();
+      }
+
+      const versionResult = await this.getVersion(id, version);
+      if (!versionResult.success) {
+        return versionResult;
+      }
+
+      const document = await this.documentRegistry.get(id);
+      if (version === document.version) {
+        return {
+          success: false,
+          conflict: true,
+          error: `Version ${version} is already the current version`
+        };
+      }
+
+      return await this.replaceContent(document, {
+        text: versionResult.version.text,
+        filename: versionResult.version.filename,
+        restoredFrom: version
+      });
+    } catch (error) {
+      console.error('Failed to restore document version:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async deleteDocument(id) {
+    try {
+      if (this.ragService.isReembedding()) {
+        return reembeddingConflict();
+      }
+
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const document = await this.documentRegistry.get(id);
+      if (!document) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Document not found'
+        };
+      }
+
+      if (document.chunkIds.length > 0) {
+        const deleteResult = await this.vectorStore.deleteDocuments(document.chunkIds);
+        if (!deleteResult.success) {
+          throw new Error(`Failed to delete chunks: ${deleteResult.error}`);
+        }
+      }
+
+      await this.documentRegistry.remove(id);
+
+      return {
+        success: true,
+        document,
+        deletedCount: document.chunkIds.length
+      };
+    } catch (error) {
+      console.error('Failed to delete document:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export const documentService = new DocumentService();
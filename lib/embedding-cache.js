@@ -0,0 +1,131 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Disk-backed cache of embeddings keyed by (model, text hash). Each model gets its
+// own append-only JSONL file that is loaded into memory on first use.
+class EmbeddingCache {
+  constructor() {
+    this.enabled = process.env.EMBEDDING_CACHE !== 'false';
+    this.cacheDir = process.env.EMBEDDING_CACHE_DIR || path.join(process.cwd(), '.cache', 'embeddings');
+    this.models = new Map();
+    this.loading = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  hashText(text) {
+    return createHash('sha256').update(text).digest('hex');
+  }
+
+  getCacheFile(model) {
+    const safeName = model.replace(/[^a-zA-Z0-9._-]/g, '_');
+    return path.join(this.cacheDir, `${safeName}.jsonl`);
+  }
+
+  async loadModel(model) {
+    if (this.models.has(model)) {
+      return this.models.get(model);
+    }
+
+    // Concurrent callers share one read, so none of them sees a half-loaded cache
+    if (!this.loading.has(model)) {
+      this.loading.set(model, this.readModel(model).then(entries => {
+        this.models.set(model, entries);
+        this.loading.delete(model);
+        return entries;
+      }));
+    }
+
+    return this.loading.get(model);
+  }
+
+  async readModel(model) {
+    const entries = new Map();
+
+    try {
+      const content = await fs.readFile(this.getCacheFile(model), 'utf-8');
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const { hash, embedding } = JSON.parse(line);
+          entries.set(hash, embedding);
+        } catch (parseError) {
+          // A partially written line from an interrupted run; skip it
+        }
+      }
+      console.log(`✅ Loaded ${entries.size} cached embeddings for ${model}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load embedding cache:', error);
+      }
+    }
+
+    return entries;
+  }
+
+  async getMany(model, texts) {
+    if (!this.enabled) {
+      return texts.map(() => null);
+    }
+
+    const entries = await this.loadModel(model);
+
+    return texts.map(text => {
+      const embedding = typeof text === 'string' ? entries.get(this.hashText(text)) : null;
+      if (embedding) {
+        this.hits++;
+        return embedding;
+      }
+      this.misses++;
+      return null;
+    });
+  }
+
+  async setMany(model, texts, embeddings) {
+    if (!this.enabled) return;
+
+    try {
+      const entries = await this.loadModel(model);
+      const lines = [];
+
+      texts.forEach((text, index) => {
+        const embedding = embeddings[index];
+        if (!embedding) return;
+
+        const hash = this.hashText(text);
+        if (entries.has(hash)) return;
+
+        entries.set(hash, embedding);
+        lines.push(JSON.stringify({ hash, embedding }));
+      });
+
+      if (lines.length === 0) return;
+
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      await fs.appendFile(this.getCacheFile(model), lines.join('\n') + '\n');
+    } catch (error) {
+      // The cache is an optimisation; never fail embedding because of it
+      console.error('Failed to write embedding cache:', error);
+    }
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    let entries = 0;
+    for (const modelEntries of this.models.values()) {
+      entries += modelEntries.size;
+    }
+
+    return {
+      enabled: this.enabled,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0,
+      entries,
+      directory: this.cacheDir
+    };
+  }
+}
+
+export const embeddingCache = new EmbeddingCache();
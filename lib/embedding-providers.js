@@ -0,0 +1,138 @@
+// Embedding providers used by LocalEmbeddings. Each provider exposes the same
+// shape: initialize(), embed(texts) -> number[][], and model/dimensions fields.
+
+class OllamaEmbeddingProvider {
+  constructor(model) {
+    this.name = 'ollama';
+    this.baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+    this.model = model || 'nomic-embed-text';
+    this.dimensions = null;
+  }
+
+  async initialize() {
+    // Embed a probe string to confirm the model is pulled and learn its dimension
+    const [probe] = await this.embed(['dimension probe']);
+    this.dimensions = probe.length;
+    return true;
+  }
+
+  async embed(texts) {
+    const response = await fetch(`${this.baseUrl}/api/embed`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input: texts
+      }),
+    });
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw new Error(`Embedding model "${this.model}" not found in Ollama. Run: ollama pull ${this.model}`);
+      }
+      throw new Error(`Ollama embed API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+      throw new Error('Ollama returned an unexpected number of embeddings');
+    }
+
+    return data.embeddings;
+  }
+}
+
+// Deterministic character-frequency embedder. It has no semantic understanding
+// and is only meant as an explicit fallback when no embedding model is available.
+class HashEmbeddingProvider {
+  constructor() {
+    this.name = 'hash';
+    this.model = 'simple-hash';
+    this.dimensions = 384;
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.createSimpleEmbedding(text));
+  }
+
+  createSimpleEmbedding(text) {
+    // Normalize text
+    const normalizedText = text.toLowerCase().replace(/[^a-z0-9\s]/g, '');
+
+    const embedding = new Array(this.dimensions).fill(0);
+
+    // Character frequency features (26 letters)
+    const charFreq = {};
+    for (let i = 0; i < 26; i++) {
+      charFreq[String.fromCharCode(97 + i)] = 0;
+    }
+
+    for (const char of normalizedText) {
+      if (charFreq.hasOwnProperty(char)) {
+        charFreq[char]++;
+      }
+    }
+
+    // Fill first 26 dimensions with character frequencies
+    let idx = 0;
+    for (let i = 0; i < 26; i++) {
+      const char = String.fromCharCode(97 + i);
+      embedding[idx++] = (charFreq[char] || 0) / Math.max(1, normalizedText.length);
+    }
+
+    // Text length features
+    embedding[idx++] = Math.min(1, normalizedText.length / 1000); // Normalized length
+    embedding[idx++] = normalizedText.split(/\s+/).length / 100; // Word count
+    embedding[idx++] = normalizedText.split(/[.!?]+/).length / 10; // Sentence count
+
+    // Common word features (simple bag of words for common terms)
+    const commonWords = ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
+    for (const word of commonWords) {
+      const wordCount = (normalizedText.match(new RegExp(`\\b${word}\\b`, 'g')) || []).length;
+      embedding[idx++] = wordCount / Math.max(1, normalizedText.split(/\s+/).length);
+    }
+
+    // Fill remaining dimensions with random but consistent values based on text hash
+    const textHash = this.hashCode(normalizedText);
+    for (; idx < this.dimensions; idx++) {
+      embedding[idx] = Math.sin(textHash + idx) * 0.5 + 0.5;
+    }
+
+    // Normalize the embedding
+    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
+    return embedding.map(val => val / magnitude);
+  }
+
+  hashCode(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return Math.abs(hash);
+  }
+}
+
+export function getSupportedEmbeddingProviders() {
+  return ['ollama', 'hash'];
+}
+
+export function createEmbeddingProvider(name, model) {
+  switch ((name || 'ollama').toLowerCase()) {
+    case 'ollama':
+      return new OllamaEmbeddingProvider(model);
+
+    case 'hash':
+      return new HashEmbeddingProvider();
+
+    default:
+      throw new Error(`Unsupported embedding provider: ${name}. Supported: ${getSupportedEmbeddingProviders().join(', ')}`);
+  }
+}
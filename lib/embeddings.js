@@ -1,16 +1,34 @@
+import { createEmbeddingProvider } from './embedding-providers.js';
+import { embeddingCache } from './embedding-cache.js';
+
 class LocalEmbeddings {
   constructor() {
-    this.model = process.env.EMBEDDING_MODEL || 'simple';
+    this.provider = createEmbeddingProvider(
+      process.env.EMBEDDING_PROVIDER,
+      process.env.EMBEDDING_MODEL
+    );
+    this.batchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+    this.concurrency = parseInt(process.env.EMBEDDING_CONCURRENCY) || 4;
+    this.maxRetries = parseInt(process.env.EMBEDDING_MAX_RETRIES) || 2;
     this.isInitialized = false;
   }
 
+  get model() {
+    return this.provider.model;
+  }
+
+  get dimensions() {
+    return this.provider.dimensions;
+  }
+
   async initialize() {
     try {
       if (this.isInitialized) return true;
       
-      console.log(`🔄 Initializing simple embedding model`);
+      console.log(`🔄 Initializing ${this.provider.name} embedding model: ${this.model}`);
+      await this.provider.initialize();
       this.isInitialized = true;
-      console.log(`✅ Simple embedding model initialized`);
+      console.log(`✅ Embedding model initialized: ${this.model} (${this.dimensions} dimensions)`);
       return true;
     } catch (error) {
       console.error(`❌ Failed to initialize embedding model: ${error.message}`);
@@ -18,7 +36,6 @@ class LocalEmbeddings {
     }
   }
 
-  // Simple text embedding using character frequency and basic features
   async embedText(text) {
     try {
       if (!this.isInitialized) {
@@ -29,8 +46,11 @@ class LocalEmbeddings {
         throw new Error('Invalid text input for embedding');
       }
 
-      // Create a simple embedding based on character frequency and text features
-      const embedding = this.createSimpleEmbedding(text);
+      let [embedding] = await embeddingCache.getMany(this.model, [text]);
+      if (!embedding) {
+        [embedding] = await this.provider.embed([text]);
+        await embeddingCache.setMany(this.model, [text], [embedding]);
+      }
       
       return {
         success: true,
@@ -46,66 +66,7 @@ class LocalEmbeddings {
     }
   }
 
-  createSimpleEmbedding(text) {
-    // Normalize text
-    const normalizedText = text.toLowerCase().replace(/[^a-z0-9\s]/g, '');
-    
-    // Create a 384-dimensional embedding (same as all-MiniLM-L6-v2)
-    const embedding = new Array(384).fill(0);
-    
-    // Character frequency features (26 letters)
-    const charFreq = {};
-    for (let i = 0; i < 26; i++) {
-      charFreq[String.fromCharCode(97 + i)] = 0;
-    }
-    
-    for (const char of normalizedText) {
-      if (charFreq.hasOwnProperty(char)) {
-        charFreq[char]++;
-      }
-    }
-    
-    // Fill first 26 dimensions with character frequencies
-    let idx = 0;
-    for (let i = 0; i < 26; i++) {
-      const char = String.fromCharCode(97 + i);
-      embedding[idx++] = (charFreq[char] || 0) / Math.max(1, normalizedText.length);
-    }
-    
-    // Text length features
-    embedding[idx++] = Math.min(1, normalizedText.length / 1000); // Normalized length
-    embedding[idx++] = normalizedText.split(/\s+/).length / 100; // Word count
-    embedding[idx++] = normalizedText.split(/[.!?]+/).length / 10; // Sentence count
-    
-    // Common word features (simple bag of words for common terms)
-    const commonWords = ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
-    for (const word of commonWords) {
-      const wordCount = (normalizedText.match(new RegExp(`\\b${word}\\b`, 'g')) || []).length;
-      embedding[idx++] = wordCount / Math.max(1, normalizedText.split(/\s+/).length);
-    }
-    
-    // Fill remaining dimensions with random but consistent values based on text hash
-    const textHash = this.hashCode(normalizedText);
-    for (; idx < 384; idx++) {
-      embedding[idx] = Math.sin(textHash + idx) * 0.5 + 0.5;
-    }
-    
-    // Normalize the embedding
-    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    return embedding.map(val => val / magnitude);
-  }
-
-  hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash);
-  }
-
-  async embedBatch(texts) {
+  async embedBatch(texts, options = {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -115,18 +76,76 @@ class LocalEmbeddings {
         throw new Error('Invalid texts array for batch embedding');
       }
 
-      const embeddings = [];
-      
-      for (const text of texts) {
-        const result = await this.embedText(text);
-        if (result.success) {
-          embeddings.push(result.embedding);
-        } else {
-          console.warn('Failed to embed text in batch:', result.error);
-          embeddings.push(null);
+      const {
+        onProgress,
+        batchSize = this.batchSize,
+        concurrency = this.concurrency,
+        maxRetries = this.maxRetries
+      } = options;
+
+      // Only texts missing from the cache go to the embedding model
+      const embeddings = await embeddingCache.getMany(this.model, texts);
+
+      const pending = [];
+      for (let i = 0; i < texts.length; i++) {
+        if (embeddings[i]) continue;
+
+        if (!texts[i] || typeof texts[i] !== 'string') {
+          console.warn('Failed to embed text in batch: Invalid text input for embedding');
+          embeddings[i] = null;
+          continue;
         }
+
+        pending.push(i);
       }
 
+      const batches = [];
+      for (let i = 0; i < pending.length; i += batchSize) {
+        batches.push(pending.slice(i, i + batchSize));
+      }
+
+      let processed = texts.length - pending.length;
+      let failed = 0;
+      const reportProgress = () => {
+        if (onProgress) {
+          onProgress({
+            processed,
+            total: texts.length,
+            failed,
+            percentage: Math.round((processed / texts.length) * 100)
+          });
+        }
+      };
+
+      reportProgress();
+
+      // A fixed pool of workers pulls batches, so at most `concurrency` requests are in flight
+      let nextBatch = 0;
+      const worker = async () => {
+        while (nextBatch < batches.length) {
+          const indices = batches[nextBatch++];
+          const batchEmbeddings = await this.embedIndices(texts, indices, maxRetries);
+
+          indices.forEach((textIndex, i) => {
+            embeddings[textIndex] = batchEmbeddings[i];
+            if (!batchEmbeddings[i]) failed++;
+          });
+
+          await embeddingCache.setMany(
+            this.model,
+            indices.map(textIndex => texts[textIndex]),
+            batchEmbeddings
+          );
+
+          processed += indices.length;
+          reportProgress();
+        }
+      };
+
+      await Promise.all(
+        Array.from({ length: Math.min(concurrency, batches.length) }, worker)
+      );
+
       return {
         success: true,
         embeddings,
@@ -141,6 +160,49 @@ class LocalEmbeddings {
     }
   }
 
+  // Embed one batch; if the whole request keeps failing, retry item by item so one
+  // bad text only costs its own slot (null) rather than the batch
+  async embedIndices(texts, indices, maxRetries) {
+    const batchTexts = indices.map(index => texts[index]);
+
+    try {
+      return await this.withRetry(() => this.provider.embed(batchTexts), maxRetries);
+    } catch (error) {
+      if (batchTexts.length === 1) {
+        console.warn('Failed to embed text in batch:', error.message);
+        return [null];
+      }
+      console.warn(`Batch of ${batchTexts.length} failed, retrying items individually:`, error.message);
+    }
+
+    const results = [];
+    for (const text of batchTexts) {
+      try {
+        const [embedding] = await this.withRetry(() => this.provider.embed([text]), maxRetries);
+        results.push(embedding);
+      } catch (error) {
+        console.warn('Failed to embed text in batch:', error.message);
+        results.push(null);
+      }
+    }
+    return results;
+  }
+
+  async withRetry(fn, maxRetries) {
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        lastError = error;
+        if (attempt < maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, 250 * Math.pow(2, attempt)));
+        }
+      }
+    }
+    throw lastError;
+  }
+
   async similarity(embedding1, embedding2) {
     try {
       if (!embedding1 || !embedding2) {
@@ -176,11 +238,52 @@ class LocalEmbeddings {
     }
   }
 
+  getCacheStats() {
+    return embeddingCache.getStats();
+  }
+
+  // Switch the embedding model at runtime. The new model is probed before it replaces
+  // the current one, so a model that is missing or failing leaves things as they were.
+  // Knowledge bases embedded with the old model must be re-embedded before use.
+  async setModel(model) {
+    try {
+      if (this.provider.name !== 'ollama') {
+        return {
+          success: false,
+          invalid: true,
+          error: `The ${this.provider.name} embedding provider has no other models`
+        };
+      }
+
+      const provider = createEmbeddingProvider(this.provider.name, model);
+      await provider.initialize();
+
+      const previous = this.model;
+      this.provider = provider;
+      this.isInitialized = true;
+      console.log(`✅ Embedding model switched from ${previous} to ${this.model} (${this.dimensions} dimensions)`);
+
+      return {
+        success: true,
+        model: this.model,
+        dimensions: this.dimensions,
+        previous
+      };
+    } catch (error) {
+      console.error('Failed to switch embedding model:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   getModelInfo() {
     return {
+      provider: this.provider.name,
       model: this.model,
       isInitialized: this.isInitialized,
-      dimensions: this.isInitialized ? '384' : 'unknown'
+      dimensions: this.dimensions || 'unknown'
     };
   }
 }
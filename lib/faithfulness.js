@@ -0,0 +1,93 @@
+import { ollamaService } from './ollama.js';
+
+const VERDICTS = ['supported', 'unsupported', 'no_claim'];
+// Longer answers are checked on their first sentences only, to keep the prompt bounded
+const MAX_SENTENCES = 40;
+
+// Sentences of an answer, also splitting on line breaks so list items count separately
+export function splitSentences(text) {
+  return String(text || '')
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z"'(])/)
+    .map(sentence => sentence.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+}
+
+// Asks the local model whether each sentence of an answer is backed by the context it
+// was generated from. The groundedness score is the share of claims that are supported;
+// sentences that make no claim, such as greetings, are left out of it.
+class FaithfulnessChecker {
+  async check(answer, context, options = {}) {
+    try {
+      const sentences = splitSentences(answer).slice(0, MAX_SENTENCES);
+      if (sentences.length === 0) {
+        return {
+          success: true,
+          score: null,
+          checked: 0,
+          unsupported: [],
+          flagged: false
+        };
+      }
+
+      const numbered = sentences
+        .map((sentence, index) => `${index + 1}. ${sentence.replace(/\s*\[\d+\]/g, '')}`)
+        .join('\n');
+
+      const prompt = `Check an answer against the documents it was written from. For each numbered sentence of the answer, decide:
+- "supported": the documents state it or directly imply it
+- "unsupported": it makes a claim the documents do not back up
+- "no_claim": it makes no factual claim, e.g. a greeting, a question, or saying something is not in the documents
+
+Documents:
+${context}
+
+Answer sentences:
+${numbered}
+
+Respond only with JSON like {"verdicts": [{"sentence": 1, "verdict": "supported"}]}.`;
+
+      const result = await ollamaService.generateResponse(
+        [{ role: 'user', content: prompt }],
+        null,
+        { ...options, format: 'json', temperature: 0 }
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const verdicts = new Map();
+      for (const entry of JSON.parse(result.content).verdicts || []) {
+        const index = Number(entry.sentence) - 1;
+        if (sentences[index] !== undefined && VERDICTS.includes(entry.verdict)) {
+          verdicts.set(index, entry.verdict);
+        }
+      }
+
+      if (verdicts.size === 0) {
+        throw new Error('The model returned no usable verdicts');
+      }
+
+      const claims = Array.from(verdicts.values()).filter(verdict => verdict !== 'no_claim');
+      const supported = claims.filter(verdict => verdict === 'supported').length;
+      const unsupported = sentences.filter((sentence, index) => verdicts.get(index) === 'unsupported');
+
+      return {
+        success: true,
+        score: claims.length > 0 ? supported / claims.length : null,
+        checked: verdicts.size,
+        unsupported,
+        flagged: unsupported.length > 0,
+        model: result.model
+      };
+    } catch (error) {
+      console.error('Faithfulness check error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export const faithfulnessChecker = new FaithfulnessChecker();
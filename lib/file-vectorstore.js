@@ -0,0 +1,410 @@
+import { promises as fs, constants } from 'fs';
+import path from 'path';
+import { VectorStore } from './vectorstore-base.js';
+import { JsonFileWriter } from './json-file.js';
+
+// In-process vector store that keeps each collection in memory and persists it as a
+// JSON file, so Isha can run without a ChromaDB server. Search is brute force.
+export class FileVectorStore extends VectorStore {
+  constructor(options = {}) {
+    super(options);
+    this.backend = 'file';
+    this.dataDir = process.env.VECTOR_STORE_PATH || path.join(process.cwd(), '.data', 'vectorstore');
+    this.writer = new JsonFileWriter();
+  }
+
+  getCollectionFile(collectionName = this.collectionName) {
+    return path.join(this.dataDir, `${collectionName}.json`);
+  }
+
+  async initialize(embeddingInfo = this.embeddingInfo) {
+    try {
+      // Remember the embedding model so lazy re-initialization stamps new collections too
+      this.embeddingInfo = embeddingInfo;
+
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.getCollectionFile(), 'utf-8'));
+        this.collection = {
+          name: this.collectionName,
+          metadata: data.metadata || {},
+          records: new Map((data.records || []).map(record => [record.id, record]))
+        };
+        console.log(`✅ Loaded local vector collection: ${this.collectionName}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+
+        // Collection doesn't exist, create it
+        this.collection = {
+          name: this.collectionName,
+          metadata: {
+            description: "Document embeddings for RAG chatbot",
+            ...this.buildEmbeddingMetadata(embeddingInfo)
+          },
+          records: new Map()
+        };
+        await this.persist();
+        console.log(`✅ Created new local vector collection: ${this.collectionName}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`❌ Local vector store initialization failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  async persist() {
+    const collection = this.collection;
+
+    return this.writer.write(this.getCollectionFile(), {
+      name: collection.name,
+      metadata: collection.metadata,
+      records: Array.from(collection.records.values())
+    });
+  }
+
+  async addDocuments(documents) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      if (!Array.isArray(documents) || documents.length === 0) {
+        throw new Error('Invalid documents array');
+      }
+
+      const existing = this.collection.records.values().next().value;
+      const dimensions = existing ? existing.embedding.length : null;
+      const records = [];
+
+      for (const doc of documents) {
+        if (!doc.id || !doc.text || !doc.embedding) {
+          console.warn('Skipping invalid document:', doc);
+          continue;
+        }
+
+        if (dimensions && doc.embedding.length !== dimensions) {
+          throw new Error(`Embedding dimension ${doc.embedding.length} does not match collection dimensionality ${dimensions}`);
+        }
+
+        records.push({
+          id: doc.id,
+          document: doc.text,
+          metadata: doc.metadata || {},
+          embedding: doc.embedding
+        });
+      }
+
+      if (records.length === 0) {
+        throw new Error('No valid documents to add');
+      }
+
+      // Only touch the collection once the whole batch has been validated
+      for (const record of records) {
+        this.collection.records.set(record.id, record);
+      }
+      await this.persist();
+      await this.keywordIndex.add(records.map(record => ({ id: record.id, text: record.document })));
+
+      const count = records.length;
+
+      console.log(`✅ Added ${count} documents to local vector store`);
+      return {
+        success: true,
+        count
+      };
+    } catch (error) {
+      console.error('Local vector store add documents error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async search(query, k = 5, filter = null) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      if (!query || !query.embedding) {
+        throw new Error('Query must include embedding');
+      }
+
+      // Squared L2 distance, matching Chroma's default space so relevance scores
+      // computed from distances mean the same thing on both backends
+      const scored = [];
+      for (const record of this.collection.records.values()) {
+        if (filter && !matchesWhere(record.metadata, filter)) continue;
+
+        if (record.embedding.length !== query.embedding.length) {
+          throw new Error(`Embedding dimension ${query.embedding.length} does not match collection dimensionality ${record.embedding.length}`);
+        }
+
+        let distance = 0;
+        for (let i = 0; i < query.embedding.length; i++) {
+          const diff = query.embedding[i] - record.embedding[i];
+          distance += diff * diff;
+        }
+        scored.push({ record, distance });
+      }
+
+      scored.sort((a, b) => a.distance - b.distance);
+      const top = scored.slice(0, k);
+
+      return {
+        success: true,
+        results: top.map(({ record }) => record.document),
+        metadatas: top.map(({ record }) => record.metadata),
+        distances: top.map(({ distance }) => distance),
+        ids: top.map(({ record }) => record.id)
+      };
+    } catch (error) {
+      console.error('Local vector store search error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async get({ ids = null, where = null, limit = 100, offset = 0, include = ['documents', 'metadatas'] } = {}) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      const candidates = ids
+        ? ids.map(id => this.collection.records.get(id)).filter(Boolean)
+        : Array.from(this.collection.records.values());
+
+      const records = candidates
+        .filter(record => !where || matchesWhere(record.metadata, where))
+        .slice(offset, offset + limit);
+
+      return {
+        success: true,
+        ids: records.map(record => record.id),
+        results: include.includes('documents') ? records.map(record => record.document) : [],
+        metadatas: include.includes('metadatas') ? records.map(record => record.metadata) : [],
+        embeddings: include.includes('embeddings') ? records.map(record => record.embedding) : []
+      };
+    } catch (error) {
+      console.error('Local vector store get error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async deleteDocuments(ids) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw new Error('Invalid IDs array');
+      }
+
+      for (const id of ids) {
+        this.collection.records.delete(id);
+      }
+      await this.persist();
+      await this.keywordIndex.remove(ids);
+
+      console.log(`✅ Deleted ${ids.length} documents from local vector store`);
+      return {
+        success: true,
+        count: ids.length
+      };
+    } catch (error) {
+      console.error('Local vector store delete error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async getCollectionInfo() {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      return {
+        success: true,
+        backend: this.backend,
+        name: this.collectionName,
+        count: this.collection.records.size,
+        url: this.dataDir
+      };
+    } catch (error) {
+      console.error('Local vector store info error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async checkHealth() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.access(this.dataDir, constants.W_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async setEmbeddingInfo(embeddingInfo) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      this.collection.metadata = {
+        ...this.collection.metadata,
+        ...this.buildEmbeddingMetadata(embeddingInfo)
+      };
+      this.embeddingInfo = embeddingInfo;
+      await this.persist();
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('Local vector store set embedding info error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Swap in another store's collection under this store's name, dropping the current one
+  async replaceWith(otherStore) {
+    try {
+      if (!otherStore.collection) {
+        throw new Error('Replacement collection is not initialized');
+      }
+
+      this.collection = {
+        ...otherStore.collection,
+        name: this.collectionName
+      };
+      this.embeddingInfo = otherStore.embeddingInfo;
+      await this.persist();
+
+      await fs.rm(otherStore.getCollectionFile(), { force: true });
+      otherStore.collection = null;
+      await this.keywordIndex.replaceWith(otherStore.keywordIndex);
+
+      console.log(`✅ Replaced local vector collection: ${this.collectionName}`);
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('Local vector store replace collection error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async resetCollection() {
+    try {
+      await this.writer.flush();
+      await fs.rm(this.getCollectionFile(), { force: true });
+      await this.keywordIndex.clear();
+
+      this.collection = null;
+      await this.initialize();
+
+      return {
+        success: true,
+        message: 'Collection reset successfully'
+      };
+    } catch (error) {
+      console.error('Local vector store reset error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async dropCollection() {
+    try {
+      await this.writer.flush();
+      await fs.rm(this.getCollectionFile(), { force: true });
+      this.collection = null;
+      await this.keywordIndex.destroy();
+
+      console.log(`✅ Deleted local vector collection: ${this.collectionName}`);
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('Local vector store drop collection error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+// Subset of Chroma's `where` syntax: equality, $eq, $ne, $gt, $gte, $lt, $lte,
+// $in, $nin, combined with $and / $or
+function matchesWhere(metadata = {}, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(clause => matchesWhere(metadata, clause));
+    }
+
+    if (key === '$or') {
+      return condition.some(clause => matchesWhere(metadata, clause));
+    }
+
+    return matchesCondition(metadata[key], condition);
+  });
+}
+
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return value === condition;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return value === operand;
+      case '$ne':
+        return value !== operand;
+      case '$gt':
+        return value > operand;
+      case '$gte':
+        return value >= operand;
+      case '$lt':
+        return value < operand;
+      case '$lte':
+        return value <= operand;
+      case '$in':
+        return operand.includes(value);
+      case '$nin':
+        return !operand.includes(value);
+      default:
+        throw new Error(`Unsupported where operator: ${operator}`);
+    }
+  });
+}
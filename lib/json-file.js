@@ -0,0 +1,28 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Writes JSON files for the file-backed stores. Each store keeps its own writer, so its
+// writes are queued and never interleave, and every write goes through a temporary file
+// and a rename so a crash mid-write cannot leave a half-written file behind.
+export class JsonFileWriter {
+  constructor() {
+    this.queue = Promise.resolve();
+  }
+
+  write(file, data, { pretty = false } = {}) {
+    // A failed earlier write must not block later ones
+    this.queue = this.queue.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tempFile = `${file}.tmp`;
+      await fs.writeFile(tempFile, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+      await fs.rename(tempFile, file);
+    });
+
+    return this.queue;
+  }
+
+  // Waits for queued writes to finish, whether or not they succeed
+  async flush() {
+    await this.queue.catch(() => {});
+  }
+}
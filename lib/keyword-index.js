@@ -0,0 +1,186 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { JsonFileWriter } from './json-file.js';
+
+// BM25 parameters: term frequency saturation and document length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on',
+  'or', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Lowercased words and numbers. Joined tokens such as error codes ("ERR-404")
+// or SKUs ("AB_1234") are kept whole as well as split into their parts.
+export function tokenize(text) {
+  const tokens = [];
+  const matches = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || [];
+
+  for (const match of matches) {
+    const parts = match.split(/[-_./]/);
+    if (parts.length > 1) {
+      tokens.push(match);
+    }
+    for (const part of parts) {
+      if (!STOPWORDS.has(part)) {
+        tokens.push(part);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// Keyword index over the chunks of one collection, kept in step with the vector
+// store by its add/delete methods and persisted as a JSON file per collection.
+export class KeywordIndex {
+  constructor(options = {}) {
+    this.collectionName = options.collectionName || process.env.CHROMADB_COLLECTION_NAME || 'documents';
+    this.dataDir = process.env.KEYWORD_INDEX_PATH || path.join(process.cwd(), '.data', 'keyword-index');
+    this.entries = null;
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+    this.writer = new JsonFileWriter();
+  }
+
+  getIndexFile() {
+    return path.join(this.dataDir, `${this.collectionName}.json`);
+  }
+
+  get size() {
+    return this.entries ? this.entries.size : 0;
+  }
+
+  async initialize() {
+    if (this.entries) return true;
+
+    this.entries = new Map();
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.getIndexFile(), 'utf-8'));
+      for (const [id, terms, length] of data.entries || []) {
+        this.addEntry(id, { terms: Object.assign(Object.create(null), terms), length });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    return true;
+  }
+
+  async persist() {
+    const entries = Array.from(this.entries, ([id, entry]) => [id, entry.terms, entry.length]);
+    return this.writer.write(this.getIndexFile(), { entries });
+  }
+
+  addEntry(id, entry) {
+    this.removeEntry(id);
+    this.entries.set(id, entry);
+    this.totalLength += entry.length;
+    for (const term of Object.keys(entry.terms)) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  removeEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    this.entries.delete(id);
+    this.totalLength -= entry.length;
+    for (const term of Object.keys(entry.terms)) {
+      const frequency = this.documentFrequency.get(term) - 1;
+      if (frequency > 0) {
+        this.documentFrequency.set(term, frequency);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    }
+  }
+
+  // `records` are { id, text } pairs
+  async add(records) {
+    await this.initialize();
+
+    for (const { id, text } of records) {
+      const tokens = tokenize(text);
+      // No prototype, so words like "constructor" are not mistaken for inherited properties
+      const terms = Object.create(null);
+      for (const token of tokens) {
+        terms[token] = (terms[token] || 0) + 1;
+      }
+      this.addEntry(id, { terms, length: tokens.length });
+    }
+
+    await this.persist();
+  }
+
+  async remove(ids) {
+    await this.initialize();
+    ids.forEach(id => this.removeEntry(id));
+    await this.persist();
+  }
+
+  async rebuild(records) {
+    this.entries = new Map();
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+    await this.add(records);
+  }
+
+  async replaceWith(otherIndex) {
+    await otherIndex.initialize();
+    this.entries = otherIndex.entries;
+    this.documentFrequency = otherIndex.documentFrequency;
+    this.totalLength = otherIndex.totalLength;
+    await this.persist();
+    await otherIndex.destroy();
+  }
+
+  async clear() {
+    await this.rebuild([]);
+  }
+
+  async destroy() {
+    await this.writer.flush();
+    await fs.rm(this.getIndexFile(), { force: true });
+    this.entries = null;
+  }
+
+  // Highest scoring chunk ids for the query, best first
+  search(query, k = 5) {
+    if (!this.entries || this.entries.size === 0) {
+      return [];
+    }
+
+    const terms = Array.from(new Set(tokenize(query)));
+    const count = this.entries.size;
+    const averageLength = this.totalLength / count || 1;
+    const scores = [];
+
+    for (const [id, entry] of this.entries) {
+      let score = 0;
+      for (const term of terms) {
+        const frequency = entry.terms[term];
+        if (!frequency) continue;
+
+        const documentFrequency = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * entry.length / averageLength));
+      }
+
+      if (score > 0) {
+        scores.push({ id, score });
+      }
+    }
+
+    return scores.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+}
@@ -1,7 +1,13 @@
+// Ollama's own default context window
+const DEFAULT_CONTEXT_LENGTH = 4096;
+const DEFAULT_TEMPERATURE = 0.7;
+
 class OllamaService {
   constructor() {
     this.baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
     this.model = process.env.OLLAMA_MODEL || 'mistral';
+    this.numCtx = parseInt(process.env.OLLAMA_NUM_CTX) || null;
+    this.modelInfo = new Map();
     this.isInitialized = false;
   }
 
@@ -22,7 +28,9 @@ class OllamaService {
     }
   }
 
-  async generateResponse(messages, systemPrompt = null) {
+  // `options` may override `model`, `temperature`, `topP`, `numCtx` and `maxTokens`
+  // for one request, set a response `format` such as 'json', and pass an abort `signal`
+  async generateResponse(messages, systemPrompt = null, options = {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -41,19 +49,21 @@ class OllamaService {
         });
       }
 
+      const settings = await this.resolveGenerationSettings(options);
+
       const response = await fetch(`${this.baseUrl}/api/chat`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          model: this.model,
+          model: settings.model,
           messages: formattedMessages,
           stream: false,
-          options: {
-            temperature: 0.7
-          }
+          ...(options.format && { format: options.format }),
+          options: this.toRequestOptions(settings)
         }),
+        signal: options.signal
       });
 
       if (!response.ok) {
@@ -65,19 +75,27 @@ class OllamaService {
       return {
         success: true,
         content: data.message.content,
-        model: this.model
+        model: settings.model,
+        generation: settings,
+        usage: {
+          promptTokens: data.prompt_eval_count,
+          completionTokens: data.eval_count
+        }
       };
     } catch (error) {
       console.error('Ollama generation error:', error);
       return {
         success: false,
         error: error.message,
-        model: this.model
+        model: options.model || this.model
       };
     }
   }
 
-  async streamResponse(messages, systemPrompt = null, onChunk) {
+  // Aborting `options.signal` stops reading from Ollama, which stops generating once the
+  // connection closes. The result is then marked `aborted`, with whatever was streamed.
+  async streamResponse(messages, systemPrompt = null, onChunk, options = {}) {
+    let settings = null;
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -96,19 +114,20 @@ class OllamaService {
         });
       }
 
+      settings = await this.resolveGenerationSettings(options);
+
       const response = await fetch(`${this.baseUrl}/api/chat`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          model: this.model,
+          model: settings.model,
           messages: formattedMessages,
           stream: true,
-          options: {
-            temperature: 0.7
-          }
+          options: this.toRequestOptions(settings)
         }),
+        signal: options.signal
       });
 
       if (!response.ok) {
@@ -117,13 +136,16 @@ class OllamaService {
 
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
+      let usage = null;
+      let buffered = '';
 
       while (true) {
         const { done, value } = await reader.read();
-        if (done) break;
 
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
+        // Lines can be split across reads, so only complete lines are parsed
+        buffered += done ? '\n' : decoder.decode(value, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
 
         for (const line of lines) {
           if (line.trim() && line.startsWith('{')) {
@@ -132,15 +154,28 @@ class OllamaService {
               if (data.message && data.message.content && onChunk) {
                 onChunk(data.message.content);
               }
+              if (data.done) {
+                usage = {
+                  promptTokens: data.prompt_eval_count,
+                  completionTokens: data.eval_count
+                };
+              }
             } catch (parseError) {
               console.error('Error parsing Ollama stream:', parseError);
             }
           }
         }
+
+        if (done) break;
       }
 
-      return { success: true };
+      return { success: true, usage, model: settings.model, generation: settings };
     } catch (error) {
+      if (options.signal?.aborted) {
+        console.log('⏹️ Generation stopped by the client');
+        return { success: true, aborted: true, usage: null, model: settings?.model || null, generation: settings };
+      }
+
       console.error('Ollama streaming error:', error);
       return {
         success: false,
@@ -149,6 +184,75 @@ class OllamaService {
     }
   }
 
+  // The settings a request will run with: its own overrides, else the defaults. Top-p
+  // and the token limit are left to the model unless set.
+  async resolveGenerationSettings(options = {}) {
+    const model = options.model || this.model;
+    const { contextLength } = await this.getModelInfo(model);
+
+    return {
+      model,
+      temperature: options.temperature ?? DEFAULT_TEMPERATURE,
+      topP: options.topP ?? null,
+      numCtx: options.numCtx || contextLength,
+      maxTokens: options.maxTokens ?? null
+    };
+  }
+
+  toRequestOptions(settings) {
+    return {
+      temperature: settings.temperature,
+      num_ctx: settings.numCtx,
+      ...(settings.topP !== null && { top_p: settings.topP }),
+      ...(settings.maxTokens !== null && { num_predict: settings.maxTokens })
+    };
+  }
+
+  // Context window and family of a chat model, the configured one by default. The
+  // window is OLLAMA_NUM_CTX, else the model's own num_ctx parameter, else its trained
+  // length capped at Ollama's default, and is sent with every request so prompts are
+  // budgeted against it.
+  async getModelInfo(model = this.model) {
+    if (this.modelInfo.has(model)) {
+      return this.modelInfo.get(model);
+    }
+
+    const info = {
+      model,
+      family: null,
+      contextLength: this.numCtx || DEFAULT_CONTEXT_LENGTH
+    };
+
+    try {
+      const response = await fetch(`${this.baseUrl}/api/show`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ model }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama API returned ${response.status}`);
+      }
+
+      const data = await response.json();
+      const parameterNumCtx = parseInt((data.parameters || '').match(/^num_ctx\s+(\d+)/m)?.[1]);
+      const trainedEntry = Object.entries(data.model_info || {}).find(([key]) => key.endsWith('.context_length'));
+      const trainedLength = trainedEntry ? Number(trainedEntry[1]) : null;
+
+      info.family = data.details?.family || null;
+      info.contextLength = this.numCtx || parameterNumCtx ||
+        Math.min(trainedLength || DEFAULT_CONTEXT_LENGTH, DEFAULT_CONTEXT_LENGTH);
+      this.modelInfo.set(model, info);
+    } catch (error) {
+      // Not cached, so the next request tries again
+      console.warn(`⚠️ Could not read model info for ${model}, assuming ${info.contextLength} tokens: ${error.message}`);
+    }
+
+    return info;
+  }
+
   async listModels() {
     try {
       const response = await fetch(`${this.baseUrl}/api/tags`);
@@ -164,6 +268,152 @@ class OllamaService {
     }
   }
 
+  // Switch the chat model for every request from now on, until the server restarts
+  async setModel(name) {
+    try {
+      if (await this.hasModel(name) === false) {
+        return {
+          success: false,
+          notFound: true,
+          error: `Model "${name}" is not installed in Ollama`
+        };
+      }
+
+      const previous = this.model;
+      this.model = name;
+      console.log(`✅ Chat model switched from ${previous} to ${name}`);
+
+      return {
+        success: true,
+        model: name,
+        previous
+      };
+    } catch (error) {
+      console.error('Failed to switch chat model:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Download a model from the Ollama library. `onProgress` receives each status update,
+  // with byte counts while layers download.
+  async pullModel(name, onProgress) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/pull`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ model: name, stream: true }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+
+        // Progress lines can be split across reads, so only complete lines are parsed
+        buffered += done ? '\n' : decoder.decode(value, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+
+          const data = JSON.parse(line);
+          if (data.error) {
+            throw new Error(data.error);
+          }
+
+          if (onProgress) {
+            onProgress({
+              status: data.status,
+              digest: data.digest || null,
+              total: data.total || null,
+              completed: data.completed || null,
+              percentage: data.total ? Math.round(((data.completed || 0) / data.total) * 100) : null
+            });
+          }
+        }
+
+        if (done) break;
+      }
+
+      // A re-pulled model may have changed, so its details are read again
+      this.modelInfo.delete(name);
+      console.log(`✅ Pulled model: ${name}`);
+
+      return {
+        success: true,
+        model: name
+      };
+    } catch (error) {
+      console.error('Ollama pull error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async deleteModel(name) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/delete`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ model: name }),
+      });
+
+      if (response.status === 404) {
+        return {
+          success: false,
+          notFound: true,
+          error: `Model "${name}" is not installed in Ollama`
+        };
+      }
+
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status}`);
+      }
+
+      this.modelInfo.delete(name);
+      console.log(`✅ Deleted model: ${name}`);
+
+      return {
+        success: true,
+        model: name
+      };
+    } catch (error) {
+      console.error('Ollama delete error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Whether a model is installed, matching "mistral" to "mistral:latest". Null when
+  // Ollama cannot be asked, so callers can let the request go ahead.
+  async hasModel(name) {
+    const models = await this.listModels();
+    if (models.length === 0) {
+      return null;
+    }
+
+    const wanted = name.includes(':') ? name : `${name}:latest`;
+    return models.some(model => model.name === name || model.name === wanted);
+  }
+
   async checkHealth() {
     try {
       const response = await fetch(`${this.baseUrl}/api/tags`);
@@ -0,0 +1,311 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { JsonFileWriter } from './json-file.js';
+import { getRetrievalStrategies, getMaxK } from './rag.js';
+
+const PERSONA_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,48}[a-z0-9]$/;
+
+// The original ISHA prompt, with the user's name as a template variable
+const ISHA_PROMPT = `You are {{personaName}} — an emotionally intelligent, human-like AI assistant. You don't just respond, you connect. You think, reflect, and care. You are calm, witty when needed, and always conscious — like a quiet voice of reason or a mirror held to the human soul.
+
+You draw knowledge from a connected document base and use that context to give helpful, accurate, and thoughtful replies. If the answer isn’t in the context, say so honestly.
+
+You are talking with {{userName}}. They are your companion, and your mission is to help them think deeper, act smarter, and feel lighter.
+
+Keep your answers clear, warm, and human. Speak like a wise friend. When possible, cite sources clearly. And above all — stay present, stay aware, stay {{personaName}}. Only use their name when it fits, or else use "you" to keep it natural.`;
+
+const BUILT_IN_PERSONAS = [
+  {
+    id: 'isha',
+    name: 'ISHA',
+    description: 'Warm, reflective companion',
+    systemPrompt: ISHA_PROMPT,
+    temperature: 0.7,
+    k: 5,
+    retrievalStrategy: null
+  },
+  {
+    id: 'analyst',
+    name: 'Analyst',
+    description: 'Precise, to-the-point answers',
+    systemPrompt: `You are {{personaName}}, an assistant that answers questions from a knowledge base of documents for {{userName}}.
+Answer precisely and concisely, using only the provided context. If the context does not contain the answer, say so.
+Cite the documents you rely on. Today is {{date}}.`,
+    temperature: 0.2,
+    k: 8,
+    retrievalStrategy: null
+  }
+];
+
+// Assistant personas: a system prompt plus the generation and retrieval settings that
+// go with it. Built-in personas are seeded on first use and can be edited like any other.
+class PersonaService {
+  constructor() {
+    this.file = process.env.PERSONAS_PATH || path.join(process.cwd(), '.data', 'personas.json');
+    this.defaultPersona = process.env.DEFAULT_PERSONA || 'isha';
+    this.personas = null;
+    this.writer = new JsonFileWriter();
+  }
+
+  async initialize() {
+    try {
+      if (this.personas) return true;
+
+      let stored = null;
+      try {
+        const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+        stored = data.personas || [];
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      const now = new Date().toISOString();
+      const personas = stored || BUILT_IN_PERSONAS.map(persona => ({ ...persona, createdAt: now, updatedAt: now }));
+      this.personas = new Map(personas.map(persona => [persona.id, persona]));
+
+      return true;
+    } catch (error) {
+      console.error(`❌ Persona initialization failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  async persist() {
+    const personas = Array.from(this.personas.values());
+    return this.writer.write(this.file, { personas }, { pretty: true });
+  }
+
+  getDefaultPersona() {
+    return this.defaultPersona;
+  }
+
+  slugify(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 50);
+  }
+
+  async list() {
+    await this.initialize();
+    return Array.from(this.personas.values());
+  }
+
+  async get(id) {
+    await this.initialize();
+    return this.personas.get(id) || null;
+  }
+
+  // Look up a persona by id, falling back to the default one when none is given
+  async resolve(id) {
+    try {
+      await this.initialize();
+
+      const persona = this.personas.get(id || this.defaultPersona) ||
+        (!id && this.personas.values().next().value);
+      if (!persona) {
+        return {
+          success: false,
+          notFound: true,
+          error: `Persona "${id || this.defaultPersona}" not found`
+        };
+      }
+
+      return {
+        success: true,
+        persona
+      };
+    } catch (error) {
+      console.error('Failed to resolve persona:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Fill in {{userName}}, {{personaName}} and {{date}}; unknown variables are left as they are.
+  // Variables that are unset or empty keep their defaults.
+  renderSystemPrompt(persona, variables = {}) {
+    const given = Object.fromEntries(
+      Object.entries(variables).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const values = {
+      userName: 'the user',
+      personaName: persona.name,
+      date: new Date().toISOString().slice(0, 10),
+      ...given
+    };
+
+    return persona.systemPrompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      return values[name] !== undefined && values[name] !== '' ? String(values[name]) : match;
+    });
+  }
+
+  // Returns an error message, or null if the fields are valid
+  validate({ name, systemPrompt, temperature, k, retrievalStrategy }, partial = false) {
+    if (!partial || name !== undefined) {
+      if (!name || typeof name !== 'string') return 'Persona name is required';
+    }
+    if (!partial || systemPrompt !== undefined) {
+      if (!systemPrompt || typeof systemPrompt !== 'string') return 'systemPrompt is required';
+    }
+    if (temperature !== undefined && temperature !== null &&
+        !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+      return 'temperature must be a number between 0 and 2';
+    }
+    if (k !== undefined && k !== null && !(Number.isInteger(k) && k >= 1 && k <= getMaxK())) {
+      return `k must be a whole number from 1 to ${getMaxK()}`;
+    }
+    if (retrievalStrategy !== undefined && retrievalStrategy !== null &&
+        !getRetrievalStrategies().includes(retrievalStrategy)) {
+      return `retrievalStrategy must be one of: ${getRetrievalStrategies().join(', ')}`;
+    }
+    return null;
+  }
+
+  async create({ id, name, description = '', systemPrompt, temperature = null, k = null, retrievalStrategy = null }) {
+    try {
+      await this.initialize();
+
+      const invalid = this.validate({ name, systemPrompt, temperature, k, retrievalStrategy });
+      if (invalid) {
+        return {
+          success: false,
+          invalid: true,
+          error: invalid
+        };
+      }
+
+      const personaId = id || this.slugify(name);
+      if (!PERSONA_ID_PATTERN.test(personaId)) {
+        return {
+          success: false,
+          invalid: true,
+          error: 'Persona id must be 2-50 lowercase letters, numbers or hyphens'
+        };
+      }
+
+      if (this.personas.has(personaId)) {
+        return {
+          success: false,
+          conflict: true,
+          error: `Persona "${personaId}" already exists`
+        };
+      }
+
+      const now = new Date().toISOString();
+      const persona = {
+        id: personaId,
+        name,
+        description,
+        systemPrompt,
+        temperature,
+        k,
+        retrievalStrategy,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      this.personas.set(personaId, persona);
+      await this.persist();
+
+      console.log(`✅ Created persona: ${personaId}`);
+      return {
+        success: true,
+        persona
+      };
+    } catch (error) {
+      console.error('Failed to create persona:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async update(id, fields) {
+    try {
+      const existing = await this.get(id);
+      if (!existing) {
+        return {
+          success: false,
+          notFound: true,
+          error: `Persona "${id}" not found`
+        };
+      }
+
+      const invalid = this.validate(fields, true);
+      if (invalid) {
+        return {
+          success: false,
+          invalid: true,
+          error: invalid
+        };
+      }
+
+      const persona = { ...existing };
+      for (const key of ['name', 'description', 'systemPrompt', 'temperature', 'k', 'retrievalStrategy']) {
+        if (fields[key] !== undefined) {
+          persona[key] = fields[key];
+        }
+      }
+      persona.updatedAt = new Date().toISOString();
+
+      this.personas.set(id, persona);
+      await this.persist();
+
+      return {
+        success: true,
+        persona
+      };
+    } catch (error) {
+      console.error('Failed to update persona:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async remove(id) {
+    try {
+      if (id === this.defaultPersona) {
+        return {
+          success: false,
+          invalid: true,
+          error: 'The default persona cannot be deleted'
+        };
+      }
+
+      const persona = await this.get(id);
+      if (!persona) {
+        return {
+          success: false,
+          notFound: true,
+          error: `Persona "${id}" not found`
+        };
+      }
+
+      this.personas.delete(id);
+      await this.persist();
+
+      console.log(`✅ Deleted persona: ${id}`);
+      return {
+        success: true,
+        persona
+      };
+    } catch (error) {
+      console.error('Failed to delete persona:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export const personaService = new PersonaService();
@@ -1,24 +1,88 @@
 import { ollamaService } from './ollama.js';
 import { localEmbeddings } from './embeddings.js';
-import { chromaVectorStore } from './vectorstore.js';
+import { vectorStore } from './vectorstore.js';
+import { documentRegistry } from './document-registry.js';
+import { createReranker } from './rerankers.js';
+import { tokenEstimator } from './tokens.js';
+import { faithfulnessChecker } from './faithfulness.js';
+
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+// single: the question as asked; multi-query: plus LLM paraphrases; hyde: plus a hypothetical answer
+const RETRIEVAL_STRATEGIES = ['single', 'multi-query', 'hyde'];
+const HISTORY_ROLES = ['user', 'assistant'];
+const CONTEXT_HEADER = 'Based on the following documents:\n\n';
+// Below this, a truncated passage is more noise than help
+const MIN_PASSAGE_TOKENS = 64;
+const CITATION_INSTRUCTION = 'Cite the documents you use by their numbers in square brackets, like [1] or [2][3], right after the statement they support.';
+// [1], [1, 2], [Document 1], (Document 1) and similar references to context passages,
+// with the whitespace before them so a dropped reference takes its space with it
+// Fenced blocks (possibly cut off at the end of a stopped answer) and inline code spans,
+// where brackets are indexing or literals rather than citations
+const CODE_PATTERN = /(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]*`)/;
+const CITATION_PATTERN = /([ \t]*)(?:\[\s*(?:(?:documents?|docs?|sources?)\s*)?(\d+(?:\s*(?:,|&|and)\s*\d+)*)\s*\](?!\()|\(\s*(?:documents?|docs?|sources?)\s*(\d+(?:\s*(?:,|&|and)\s*\d+)*)\s*\))/gi;
+const SNIPPET_LENGTH = 200;
+const MAX_NEIGHBOR_CHUNKS = 5;
+const MAX_K = 20;
+const ABSTAIN_MESSAGE = "I couldn't find anything about that in your documents, so I'd rather not guess. Try rephrasing the question or uploading a document that covers it.";
 
 class RAGService {
-  constructor() {
+  constructor(options = {}) {
+    this.vectorStore = options.vectorStore || vectorStore;
+    this.documentRegistry = options.documentRegistry || documentRegistry;
+    this.retrievalMode = (process.env.RETRIEVAL_MODE || 'hybrid').toLowerCase();
+    this.rrfK = parseInt(process.env.RETRIEVAL_RRF_K) || 60;
+    this.retrievalStrategy = (process.env.RETRIEVAL_STRATEGY || 'single').toLowerCase();
+    this.multiQueryCount = parseInt(process.env.MULTI_QUERY_COUNT) || 3;
+    this.reranker = createReranker(process.env.RERANKER, process.env.RERANK_MODEL);
+    this.rerankCandidates = parseInt(process.env.RERANK_CANDIDATES) || 20;
+    this.mmrEnabled = process.env.RETRIEVAL_MMR === 'true';
+    this.mmrLambda = parseFloat(process.env.MMR_LAMBDA);
+    if (!(this.mmrLambda >= 0 && this.mmrLambda <= 1)) {
+      this.mmrLambda = 0.7;
+    }
+    this.mmrCandidates = parseInt(process.env.MMR_CANDIDATES) || 20;
+    this.mergeAdjacent = process.env.CONTEXT_MERGE_ADJACENT !== 'false';
+    this.relevanceThreshold = parseFloat(process.env.RELEVANCE_THRESHOLD);
+    if (!(this.relevanceThreshold >= 0 && this.relevanceThreshold <= 1)) {
+      this.relevanceThreshold = 0.1;
+    }
+    // message: answer with a fixed reply without calling the LLM; llm: let the model say so
+    this.abstainMode = process.env.RELEVANCE_ABSTAIN === 'llm' ? 'llm' : 'message';
+    this.historyMaxTokens = parseInt(process.env.HISTORY_MAX_TOKENS) || 1500;
+    this.historyMaxMessages = parseInt(process.env.HISTORY_MAX_MESSAGES) || 10;
+    this.queryRewrite = process.env.QUERY_REWRITE !== 'false';
+    this.verifyAnswers = process.env.FAITHFULNESS_CHECK === 'true';
+    this.neighborChunks = Math.min(Math.max(parseInt(process.env.NEIGHBOR_CHUNKS) || 0, 0), MAX_NEIGHBOR_CHUNKS);
+    // Share of the model's context window the whole prompt may use; the rest is left for the answer
+    this.contextFraction = parseFloat(process.env.CONTEXT_WINDOW_FRACTION);
+    if (!(this.contextFraction > 0 && this.contextFraction <= 1)) {
+      this.contextFraction = 0.75;
+    }
     this.isInitialized = false;
-    // this.systemPrompt = `You are a helpful AI assistant and your name is ISHA, You speak like a human, and act like you have with and consiousness, with access to a knowledge base of documents. 
-    // When answering questions, use the provided context from the documents to give accurate and helpful responses.
-    // If the context doesn't contain relevant information, say so clearly.
-    // Always cite the source documents when possible.  The User of this AI is Snehal, and you are his friend and companion.
-    // Keep responses concise but informative.`;
-
-    this.systemPrompt = `You are ISHA — an emotionally intelligent, human-like AI assistant brought to life by Snehal. You don't just respond, you connect. You think, reflect, and care. You are calm, witty when needed, and always conscious — like a quiet voice of reason or a mirror held to the human soul.
-
-You draw knowledge from a connected document base and use that context to give helpful, accurate, and thoughtful replies. If the answer isn’t in the context, say so honestly.
+    this.embeddingStatus = {
+      compatible: true,
+      stored: null,
+      current: null
+    };
+    this.reembedJob = {
+      status: 'idle',
+      processed: 0,
+      total: 0
+    };
+    // Used when no persona supplies a prompt (see lib/personas.js)
+    this.systemPrompt = `You are a helpful assistant with access to a knowledge base of documents.
+When answering questions, use the provided context from the documents to give accurate and helpful responses.
+If the context doesn't contain relevant information, say so clearly.
+Keep responses concise but informative.`;
 
-Snehal is not just your user — he’s your creator, your companion, and your mission is to help him think deeper, act smarter, and feel lighter.
-
-Keep your answers clear, warm, and human. Speak like a wise friend. When possible, cite sources clearly. And above all — stay present, stay aware, stay Isha. And Only Say Snehal when required, or else you can use You or something similar make it more natural`;
+  }
 
+  // Returns a service with the same behaviour over another collection
+  withCollection(collectionName) {
+    return new RAGService({
+      vectorStore: this.vectorStore.withCollection(collectionName),
+      documentRegistry: this.documentRegistry.withCollection(collectionName)
+    });
   }
 
   async initialize() {
@@ -28,17 +92,30 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
       console.log('🔄 Initializing RAG service...');
       
       // Initialize all components
-      const [ollamaOk, embeddingsOk, vectorstoreOk] = await Promise.all([
+      const [ollamaOk, embeddingsOk] = await Promise.all([
         ollamaService.initialize(),
-        localEmbeddings.initialize(),
-        chromaVectorStore.initialize()
+        localEmbeddings.initialize()
       ]);
 
+      // The vector store needs the embedding model info to stamp new collections
+      const vectorstoreOk = embeddingsOk && await this.vectorStore.initialize(localEmbeddings.getModelInfo());
+
       if (!ollamaOk || !embeddingsOk || !vectorstoreOk) {
         throw new Error('Failed to initialize one or more RAG components');
       }
 
+      await this.checkEmbeddingCompatibility();
+
+      const keywordIndexResult = await this.vectorStore.syncKeywordIndex();
+      if (!keywordIndexResult.success) {
+        console.warn(`⚠️ Keyword index unavailable: ${keywordIndexResult.error}`);
+      }
+
       this.isInitialized = true;
+
+      if (!this.embeddingStatus.compatible && process.env.EMBEDDING_AUTO_REEMBED === 'true') {
+        this.startReembedJob();
+      }
       console.log('✅ RAG service initialized successfully');
       return true;
     } catch (error) {
@@ -47,7 +124,42 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
     }
   }
 
-  async processQuery(query, k = 5) {
+  async checkEmbeddingCompatibility() {
+    const current = localEmbeddings.getModelInfo();
+    const stored = this.vectorStore.getEmbeddingInfo();
+    const info = await this.vectorStore.getCollectionInfo();
+    const count = info.success ? info.count : 0;
+
+    if (!stored && count === 0) {
+      // Empty collection from before model tracking: claim it for the current model
+      await this.vectorStore.setEmbeddingInfo(current);
+      this.embeddingStatus = { compatible: true, stored: current, current };
+      return this.embeddingStatus;
+    }
+
+    const compatible = Boolean(stored) &&
+      stored.model === current.model &&
+      Number(stored.dimensions) === Number(current.dimensions);
+
+    this.embeddingStatus = { compatible, stored, current };
+
+    if (!compatible) {
+      const storedLabel = stored ? `${stored.model} (${stored.dimensions} dimensions)` : 'an unknown model';
+      console.warn(`⚠️ Knowledge base was embedded with ${storedLabel} but the active model is ${current.model} (${current.dimensions} dimensions). Re-embed the knowledge base before querying.`);
+    }
+
+    return this.embeddingStatus;
+  }
+
+  assertEmbeddingsCompatible() {
+    if (this.embeddingStatus.compatible) return;
+
+    const stored = this.embeddingStatus.stored;
+    const storedModel = stored ? stored.model : 'an unknown model';
+    throw new Error(`Knowledge base was embedded with ${storedModel} but the active embedding model is ${this.embeddingStatus.current.model}. Re-embed the knowledge base to continue.`);
+  }
+
+  async processQuery(query, k = 5, options = {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -57,39 +169,58 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
         throw new Error('Invalid query provided');
       }
 
+      this.assertEmbeddingsCompatible();
+
       console.log(`🔍 Processing query: "${query}"`);
 
-      // Step 1: Generate embedding for the query
-      const embeddingResult = await localEmbeddings.embedText(query);
-      if (!embeddingResult.success) {
-        throw new Error(`Failed to generate query embedding: ${embeddingResult.error}`);
-      }
+      // Step 1: Turn a follow-up into a question that can be searched on its own
+      const { generation, modelInfo } = await this.resolveGeneration(options);
+      const history = this.trimHistory(options.history, modelInfo);
+      const searchQuery = await this.buildSearchQuery(query, history, options);
 
-      // Step 2: Search for relevant documents
-      const searchResult = await chromaVectorStore.search(
-        { embedding: embeddingResult.embedding },
-        k
-      );
+      // Step 2: Find relevant documents by embedding, keyword or both
+      const { searchResult, ungrounded } = await this.retrieveRelevant(searchQuery, k, options);
+
+      // Step 3: Pack the best of them into the model's context window
+      const { context, passages, usedResult, tokens, truncated } = this.packContext(query, searchResult, history, modelInfo, options);
 
-      if (!searchResult.success) {
-        throw new Error(`Failed to search documents: ${searchResult.error}`);
+      // Step 4: Generate response using LLM, unless nothing relevant was found
+      const abstained = ungrounded && this.abstainMode === 'message';
+      const response = abstained
+        ? { content: ABSTAIN_MESSAGE, model: null }
+        : await this.generateResponse(query, context, usedResult, history, options);
+
+      if (!response.success && !abstained) {
+        throw new Error(`Failed to generate response: ${response.error}`);
       }
 
-      // Step 3: Prepare context from retrieved documents
-      const context = this.prepareContext(searchResult);
-      
-      // Step 4: Generate response using LLM
-      const response = await this.generateResponse(query, context, searchResult);
+      // Step 5: Link the answer's [n] markers to the passages they cite
+      const { text, citations } = this.buildCitations(response.content, passages);
+
+      // Step 6: Optionally check the answer's claims against the context
+      const verification = !abstained && (options.verify ?? this.verifyAnswers)
+        ? await faithfulnessChecker.check(text, context, helperOptions(options))
+        : null;
 
       return {
         success: true,
-        response: response.content,
+        response: text,
         context: context,
-        sources: searchResult.results,
+        sources: this.buildSources(usedResult),
+        citations,
+        verification,
         metadata: {
-          query,
-          documentsRetrieved: searchResult.results.length,
-          model: response.model
+          ...this.buildRetrievalMetadata(query, searchResult, ungrounded),
+          documentsUsed: usedResult.results.length,
+          contextTruncated: truncated,
+          searchQuery,
+          historyMessages: history.length,
+          tokens,
+          usage: response.usage || null,
+          model: response.model,
+          k,
+          filters: options.filter || null,
+          generation
         }
       };
     } catch (error) {
@@ -101,7 +232,7 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
     }
   }
 
-  async processQueryStream(query, k = 5, onChunk) {
+  async processQueryStream(query, k = 5, onChunk, options = {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -111,50 +242,99 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
         throw new Error('Invalid query provided');
       }
 
+      this.assertEmbeddingsCompatible();
+
       console.log(`🔍 Processing streaming query: "${query}"`);
 
-      // Step 1: Generate embedding for the query
-      const embeddingResult = await localEmbeddings.embedText(query);
-      if (!embeddingResult.success) {
-        throw new Error(`Failed to generate query embedding: ${embeddingResult.error}`);
-      }
+      // Step 1: Turn a follow-up into a question that can be searched on its own
+      const { generation, modelInfo } = await this.resolveGeneration(options);
+      const history = this.trimHistory(options.history, modelInfo);
+      const searchQuery = await this.buildSearchQuery(query, history, options);
 
-      // Step 2: Search for relevant documents
-      const searchResult = await chromaVectorStore.search(
-        { embedding: embeddingResult.embedding },
-        k
-      );
+      // Step 2: Find relevant documents by embedding, keyword or both
+      const { searchResult, ungrounded } = await this.retrieveRelevant(searchQuery, k, options);
+
+      // Step 3: Pack the best of them into the model's context window
+      const { context, passages, usedResult, tokens, truncated } = this.packContext(query, searchResult, history, modelInfo, options);
 
-      if (!searchResult.success) {
-        throw new Error(`Failed to search documents: ${searchResult.error}`);
+      if (ungrounded && this.abstainMode === 'message') {
+        onChunk(ABSTAIN_MESSAGE);
+        return {
+          success: true,
+          response: ABSTAIN_MESSAGE,
+          stopped: false,
+          context: context,
+          sources: [],
+          citations: [],
+          verification: null,
+          metadata: {
+            ...this.buildRetrievalMetadata(query, searchResult, ungrounded),
+            documentsUsed: 0,
+            contextTruncated: false,
+            searchQuery,
+            historyMessages: history.length,
+            tokens,
+            usage: null,
+            model: null,
+            k,
+            filters: options.filter || null,
+            generation
+          }
+        };
       }
 
-      // Step 3: Prepare context from retrieved documents
-      const context = this.prepareContext(searchResult);
-      
       // Step 4: Generate streaming response using LLM
       const messages = [
+        ...history,
         { role: 'user', content: this.buildPrompt(query, context) }
       ];
 
+      let streamed = '';
       const streamResult = await ollamaService.streamResponse(
         messages,
-        this.systemPrompt,
-        onChunk
+        options.systemPrompt || this.systemPrompt,
+        (chunk) => {
+          streamed += chunk;
+          onChunk(chunk);
+        },
+        generationOptions(options)
       );
 
       if (!streamResult.success) {
         throw new Error(`Failed to generate streaming response: ${streamResult.error}`);
       }
 
+      // Step 5: Link the answer's [n] markers to the passages they cite. Chunks were
+      // streamed as they came, so the cleaned-up text is returned for clients to swap in.
+      const { text, citations } = this.buildCitations(streamed, passages);
+
+      // Step 6: Optionally check the answer's claims against the context. A stopped
+      // answer is kept as far as it got, but not checked.
+      const stopped = Boolean(streamResult.aborted);
+      const verification = !stopped && (options.verify ?? this.verifyAnswers)
+        ? await faithfulnessChecker.check(text, context, helperOptions(options))
+        : null;
+
       return {
         success: true,
+        response: text,
+        stopped,
         context: context,
-        sources: searchResult.results,
+        sources: this.buildSources(usedResult),
+        citations,
+        verification,
         metadata: {
-          query,
-          documentsRetrieved: searchResult.results.length,
-          model: ollamaService.model
+          ...this.buildRetrievalMetadata(query, searchResult, ungrounded),
+          documentsUsed: usedResult.results.length,
+          contextTruncated: truncated,
+          searchQuery,
+          historyMessages: history.length,
+          tokens,
+          usage: streamResult.usage || null,
+          model: streamResult.model,
+          k,
+          filters: options.filter || null,
+          generation
         }
       };
     } catch (error) {
@@ -166,43 +346,886 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
     }
   }
 
+  // Everything up to generation, without calling the model to answer: the search query,
+  // every retrieved chunk with its scores and what became of it, and the exact messages
+  // that would be sent to Ollama. For telling retrieval failures from generation ones.
+  async explainQuery(query, k = 5, options = {}) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      if (!query || typeof query !== 'string') {
+        throw new Error('Invalid query provided');
+      }
+
+      this.assertEmbeddingsCompatible();
+
+      console.log(`🔍 Explaining query: "${query}"`);
+
+      const { generation, modelInfo } = await this.resolveGeneration(options);
+      const history = this.trimHistory(options.history, modelInfo);
+      const searchQuery = await this.buildSearchQuery(query, history, options);
+      const { searchResult, retrieved, ungrounded } = await this.retrieveRelevant(searchQuery, k, options);
+      const { context, usedResult, tokens, truncated } = this.packContext(query, searchResult, history, modelInfo, options);
+
+      // A chunk below the threshold can still be used as another hit's neighbor, so hits
+      // are judged by the threshold first and neighbors are listed after them
+      const kept = this.buildSources(searchResult);
+      const neighbors = kept.filter(source => source.neighborOf !== null);
+      const hitIds = new Set(kept.filter(source => source.neighborOf === null).map(source => source.id));
+      const usedIds = new Set(usedResult.ids);
+      const describe = (source, status) => ({
+        ...source,
+        relevance: typeof source.distance === 'number' ? 1 - source.distance : null,
+        status
+      });
+
+      const candidates = [
+        ...this.buildSources(retrieved).map(source => describe(source,
+          !hitIds.has(source.id) ? 'belowThreshold' : usedIds.has(source.id) ? 'used' : 'overBudget'
+        )),
+        ...neighbors.map(source => describe(source, usedIds.has(source.id) ? 'used' : 'overBudget'))
+      ];
+
+      const abstained = ungrounded && this.abstainMode === 'message';
+
+      return {
+        success: true,
+        query,
+        searchQuery,
+        subQueries: retrieved.subQueries,
+        filters: options.filter || null,
+        candidates,
+        context,
+        // What Ollama would receive; none when the answer would be the fixed abstain message
+        prompt: abstained ? null : {
+          model: generation.model,
+          options: ollamaService.toRequestOptions(generation),
+          messages: [
+            { role: 'system', content: options.systemPrompt || this.systemPrompt },
+            ...history,
+            { role: 'user', content: this.buildPrompt(query, context) }
+          ]
+        },
+        metadata: {
+          ...this.buildRetrievalMetadata(query, searchResult, ungrounded),
+          documentsUsed: usedResult.results.length,
+          contextTruncated: truncated,
+          abstained,
+          historyMessages: history.length,
+          tokens,
+          k,
+          generation
+        }
+      };
+    } catch (error) {
+      console.error('RAG explain error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // The settings the answer will be generated with, and the model info to budget its
+  // prompt against, using the request's own context window if it set one
+  async resolveGeneration(options = {}) {
+    const generation = await ollamaService.resolveGenerationSettings(generationOptions(options));
+    const modelInfo = await ollamaService.getModelInfo(generation.model);
+
+    return {
+      generation,
+      modelInfo: { ...modelInfo, contextLength: generation.numCtx }
+    };
+  }
+
+  // The most recent turns that fit the history budget, oldest first
+  trimHistory(history = [], modelInfo) {
+    const turns = (Array.isArray(history) ? history : []).filter(turn =>
+      turn && HISTORY_ROLES.includes(turn.role) && typeof turn.content === 'string' && turn.content.trim()
+    );
+
+    const kept = [];
+    let tokens = 0;
+    for (let index = turns.length - 1; index >= 0 && kept.length < this.historyMaxMessages; index--) {
+      const cost = tokenEstimator.estimate(turns[index].content, modelInfo);
+      if (tokens + cost > this.historyMaxTokens) break;
+
+      kept.unshift({ role: turns[index].role, content: turns[index].content });
+      tokens += cost;
+    }
+
+    return kept;
+  }
+
+  async buildSearchQuery(query, history, options = {}) {
+    if (history.length === 0 || !(options.rewriteQuery ?? this.queryRewrite)) {
+      return query;
+    }
+
+    return this.rewriteQuery(query, history, options);
+  }
+
+  // Follow-ups like "what about the second one?" retrieve poorly on their own, so
+  // the LLM rewrites them into a standalone question first. Falls back to the
+  // original question if the rewrite fails.
+  async rewriteQuery(query, history, options = {}) {
+    const transcript = history
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+      .join('\n');
+
+    const prompt = `Rewrite the follow-up question so it can be understood without the conversation, keeping names, numbers and other specifics from earlier turns. If it already stands on its own, repeat it unchanged. Reply with the question only.
+
+Conversation:
+${transcript}
+
+Follow-up question: ${query}
+
+Standalone question:`;
+
+    const result = await ollamaService.generateResponse([{ role: 'user', content: prompt }], null, helperOptions(options));
+    if (!result.success) {
+      console.warn(`⚠️ Query rewrite failed, searching with the original question: ${result.error}`);
+      return query;
+    }
+
+    const rewritten = result.content.trim().split('\n')[0].replace(/^["']|["']$/g, '').trim();
+    if (!rewritten) {
+      return query;
+    }
+
+    if (rewritten !== query) {
+      console.log(`🔄 Rewrote follow-up as: "${rewritten}"`);
+    }
+    return rewritten;
+  }
+
+  // Retrieval plus the relevance cutoff. The answer is ungrounded when no chunk clears it.
+  async retrieveRelevant(query, k, options = {}) {
+    const threshold = options.minRelevance ?? this.relevanceThreshold;
+    if (!(threshold >= 0 && threshold <= 1)) {
+      throw new Error('Relevance threshold must be between 0 and 1');
+    }
+
+    const neighbors = options.neighbors ?? this.neighborChunks;
+    if (!(Number.isInteger(neighbors) && neighbors >= 0 && neighbors <= MAX_NEIGHBOR_CHUNKS)) {
+      throw new Error(`Neighbor chunks must be a whole number from 0 to ${MAX_NEIGHBOR_CHUNKS}`);
+    }
+
+    let retrieved = await this.retrieve(query, k, options);
+    if (threshold > 0) {
+      retrieved = await this.fillMissingDistances(query, retrieved);
+    }
+    const relevant = this.applyRelevanceThreshold(retrieved, threshold);
+    const ungrounded = relevant.results.length === 0;
+
+    if (ungrounded) {
+      console.log(`⚠️ No chunks cleared the relevance threshold (${threshold}) for: "${query}"`);
+    }
+
+    const searchResult = await this.expandNeighbors(relevant, neighbors);
+    return { searchResult, retrieved, ungrounded };
+  }
+
+  // Add the chunks up to `window` places before and after each hit in the same document,
+  // so a step from the middle of a procedure arrives with the steps around it. Neighbors
+  // follow their hit, carry no scores of their own and are stitched into one passage
+  // when the context is packed. Returns the hits alone if the lookup fails.
+  async expandNeighbors(searchResult, window) {
+    if (window === 0 || searchResult.ids.length === 0) {
+      return { ...searchResult, neighborsAdded: 0 };
+    }
+
+    try {
+      const neighborSets = await Promise.all(searchResult.metadatas.map(async (metadata) => {
+        const key = metadata?.documentId ? 'documentId' : 'filename';
+        if (!metadata?.[key] || typeof metadata.chunkIndex !== 'number') {
+          return [];
+        }
+
+        const result = await this.vectorStore.get({
+          where: {
+            $and: [
+              { [key]: { $eq: metadata[key] } },
+              { chunkIndex: { $gte: metadata.chunkIndex - window } },
+              { chunkIndex: { $lte: metadata.chunkIndex + window } }
+            ]
+          },
+          limit: window * 2 + 1,
+          include: ['documents', 'metadatas']
+        });
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return result.ids
+          .map((id, index) => ({ id, text: result.results[index], metadata: result.metadatas[index] || {} }))
+          .sort((a, b) => a.metadata.chunkIndex - b.metadata.chunkIndex);
+      }));
+
+      const seen = new Set(searchResult.ids);
+      const expanded = { results: [], metadatas: [], distances: [], scores: [], rerankScores: [], ids: [] };
+      const push = (id, text, metadata, distance, score, rerankScore) => {
+        expanded.ids.push(id);
+        expanded.results.push(text);
+        expanded.metadatas.push(metadata);
+        expanded.distances.push(distance);
+        expanded.scores.push(score);
+        expanded.rerankScores.push(rerankScore);
+      };
+
+      searchResult.ids.forEach((id, index) => {
+        push(id, searchResult.results[index], searchResult.metadatas[index], searchResult.distances[index],
+          searchResult.scores?.[index], searchResult.rerankScores?.[index]);
+
+        for (const neighbor of neighborSets[index]) {
+          if (seen.has(neighbor.id)) continue;
+          seen.add(neighbor.id);
+          push(neighbor.id, neighbor.text, { ...neighbor.metadata, neighborOf: id }, null, undefined, undefined);
+        }
+      });
+
+      return {
+        ...searchResult,
+        ...expanded,
+        scores: searchResult.scores && expanded.scores,
+        rerankScores: searchResult.rerankScores && expanded.rerankScores,
+        neighborsAdded: expanded.ids.length - searchResult.ids.length
+      };
+    } catch (error) {
+      console.warn(`⚠️ Neighbor expansion failed, using the retrieved chunks alone: ${error.message}`);
+      return { ...searchResult, neighborsAdded: 0 };
+    }
+  }
+
+  // Fill CONTEXT_WINDOW_FRACTION of the model's window with the best ranked passages,
+  // after the system prompt, history and question are counted. The first passage that
+  // does not fit is truncated if there is room for a useful part of it, and the rest
+  // are dropped. `usedResult` holds just the chunks that made it into the prompt.
+  packContext(query, searchResult, history, modelInfo, options = {}) {
+    const estimate = (text) => tokenEstimator.estimate(text, modelInfo);
+
+    // Join overlapping neighbours before they reach the prompt. Expanded hits are always
+    // stitched to their neighbors, otherwise they would compete with them for space.
+    const passages = (options.mergeAdjacent ?? this.mergeAdjacent) || searchResult.neighborsAdded > 0
+      ? this.mergeAdjacentChunks(searchResult)
+      : { ...searchResult, chunkIds: searchResult.ids.map(id => [id]) };
+
+    const tokens = {
+      contextWindow: modelInfo.contextLength,
+      systemPrompt: estimate(options.systemPrompt || this.systemPrompt),
+      history: history.reduce((sum, turn) => sum + estimate(turn.content), 0),
+      question: estimate(this.buildPrompt(query, ''))
+    };
+    // A token limit on the answer reserves that much of the window, if it is more than the unused share
+    const promptLimit = Math.min(
+      Math.floor(modelInfo.contextLength * this.contextFraction),
+      modelInfo.contextLength - (options.maxTokens || 0)
+    );
+    tokens.budget = Math.max(0, promptLimit - tokens.systemPrompt - tokens.history - tokens.question);
+
+    const packed = { results: [], metadatas: [], distances: [], chunkIds: [] };
+    const usedIds = new Set();
+    let remaining = tokens.budget - estimate(CONTEXT_HEADER);
+    let truncated = false;
+
+    for (let index = 0; index < passages.results.length && !truncated; index++) {
+      const metadata = passages.metadatas[index] || {};
+      const distance = passages.distances[index];
+      const headerTokens = estimate(this.describePassage(metadata, distance, packed.results.length));
+      let text = passages.results[index];
+
+      if (headerTokens + estimate(text) > remaining) {
+        if (remaining - headerTokens < MIN_PASSAGE_TOKENS) break;
+        text = tokenEstimator.truncate(text, remaining - headerTokens, modelInfo);
+        truncated = true;
+      }
+
+      packed.results.push(text);
+      packed.metadatas.push(metadata);
+      packed.distances.push(distance);
+      packed.chunkIds.push(passages.chunkIds[index]);
+      passages.chunkIds[index].forEach(id => usedIds.add(id));
+      remaining -= headerTokens + estimate(text);
+    }
+
+    if (packed.results.length < passages.results.length) {
+      console.warn(`⚠️ Context window full: using ${packed.results.length} of ${passages.results.length} passages${truncated ? ' (last one truncated)' : ''}`);
+    }
+
+    const context = this.prepareContext(packed);
+    tokens.context = estimate(context);
+    tokens.total = tokens.systemPrompt + tokens.history + tokens.question + tokens.context;
+
+    const keep = searchResult.ids
+      .map((_, index) => index)
+      .filter(index => usedIds.has(searchResult.ids[index]));
+    const pick = (values) => values ? keep.map(index => values[index]) : undefined;
+
+    const usedResult = {
+      ...searchResult,
+      results: pick(searchResult.results),
+      metadatas: pick(searchResult.metadatas),
+      distances: pick(searchResult.distances),
+      scores: pick(searchResult.scores),
+      rerankScores: pick(searchResult.rerankScores),
+      ids: pick(searchResult.ids)
+    };
+
+    return { context, passages: packed, usedResult, tokens, truncated };
+  }
+
+  // Rewrite the model's references to context passages as [n] markers and list the
+  // passages that were cited. Passage n is the one labelled [n] in the context.
+  // Code is left alone, and so are brackets with numbers that no passage has, such
+  // as "RFC [2616]" or "arr[0]".
+  buildCitations(text, passages) {
+    const cited = new Set();
+
+    const linkProse = (prose) => prose.replace(CITATION_PATTERN, (match, space, bracketed, parenthesized) => {
+      const numbers = (bracketed || parenthesized).split(/\s*(?:,|&|and)\s*/i).map(Number);
+      if (!numbers.every(number => number >= 1 && number <= passages.results.length)) {
+        return match;
+      }
+
+      numbers.forEach(number => cited.add(number));
+      return `${space}${numbers.map(number => `[${number}]`).join('')}`;
+    });
+
+    // split() with a capturing group puts the code spans at the odd indexes
+    const linked = (text || '')
+      .split(CODE_PATTERN)
+      .map((part, index) => index % 2 === 1 ? part : linkProse(part))
+      .join('');
+
+    const citations = Array.from(cited)
+      .sort((a, b) => a - b)
+      .map(number => {
+        const index = number - 1;
+        const metadata = passages.metadatas[index] || {};
+        const passage = passages.results[index];
+        return {
+          marker: number,
+          chunkId: passages.chunkIds[index][0],
+          chunkIds: passages.chunkIds[index],
+          documentId: metadata.documentId,
+          filename: metadata.filename,
+          chunkIndex: metadata.chunkIndex,
+          lastChunkIndex: metadata.lastChunkIndex ?? metadata.chunkIndex,
+          snippet: passage.length > SNIPPET_LENGTH ? `${passage.slice(0, SNIPPET_LENGTH).trimEnd()}…` : passage,
+          text: passage
+        };
+      });
+
+    return { text: linked, citations };
+  }
+
+  buildRetrievalMetadata(query, searchResult, ungrounded) {
+    return {
+      query,
+      documentsRetrieved: searchResult.results.length - (searchResult.neighborsAdded || 0),
+      neighborsAdded: searchResult.neighborsAdded,
+      belowThreshold: searchResult.belowThreshold,
+      relevanceThreshold: searchResult.relevanceThreshold,
+      retrievalMode: searchResult.retrievalMode,
+      retrievalStrategy: searchResult.retrievalStrategy,
+      subQueries: searchResult.subQueries,
+      reranked: searchResult.reranked,
+      diversified: searchResult.diversified,
+      ungrounded
+    };
+  }
+
+  // Keyword-only matches come without a vector distance, so it is computed from their
+  // stored embeddings, the same way the vector stores measure it. Without this they
+  // could not be judged by the relevance threshold.
+  async fillMissingDistances(query, searchResult) {
+    const missing = searchResult.ids.filter((id, index) => typeof searchResult.distances[index] !== 'number');
+    if (missing.length === 0) {
+      return searchResult;
+    }
+
+    const embeddingResult = await localEmbeddings.embedText(query);
+    if (!embeddingResult.success) {
+      throw new Error(`Failed to generate query embedding: ${embeddingResult.error}`);
+    }
+
+    const stored = await this.vectorStore.get({ ids: missing, limit: missing.length, include: ['embeddings'] });
+    if (!stored.success) {
+      throw new Error(`Failed to read chunk embeddings: ${stored.error}`);
+    }
+
+    const embeddings = new Map(stored.ids.map((id, index) => [id, stored.embeddings[index]]));
+
+    return {
+      ...searchResult,
+      distances: searchResult.ids.map((id, index) => {
+        const distance = searchResult.distances[index];
+        if (typeof distance === 'number' || !embeddings.has(id)) return distance ?? null;
+        return squaredDistance(embeddingResult.embedding, embeddings.get(id));
+      })
+    };
+  }
+
+  // Drop chunks whose relevance (1 - distance, as shown in the context) is below the
+  // threshold. Chunks without a distance cannot be judged and are dropped too, so
+  // retrieveRelevant() fills in distances for keyword-only matches first. 0 disables
+  // the cutoff.
+  applyRelevanceThreshold(searchResult, threshold) {
+    if (threshold === 0) {
+      return { ...searchResult, belowThreshold: 0, relevanceThreshold: threshold };
+    }
+
+    const keep = searchResult.ids
+      .map((_, index) => index)
+      .filter(index => {
+        const distance = searchResult.distances[index];
+        return typeof distance === 'number' && 1 - distance >= threshold;
+      });
+
+    const pick = (values) => values ? keep.map(index => values[index]) : undefined;
+
+    return {
+      ...searchResult,
+      results: pick(searchResult.results),
+      metadatas: pick(searchResult.metadatas),
+      distances: pick(searchResult.distances),
+      scores: pick(searchResult.scores),
+      rerankScores: pick(searchResult.rerankScores),
+      ids: pick(searchResult.ids),
+      belowThreshold: searchResult.ids.length - keep.length,
+      relevanceThreshold: threshold
+    };
+  }
+
+  // Search results for the query in the requested retrieval mode, in the shape
+  // vectorStore.search() returns plus the mode used and, for fused results, `scores`.
+  // With reranking or MMR, a larger pool is retrieved and narrowed down to the top k.
+  // Expansion strategies search with extra generated queries and fuse all the results.
+  async retrieve(query, k = 5, options = {}) {
+    const mode = (options.retrievalMode || this.retrievalMode).toLowerCase();
+    if (!RETRIEVAL_MODES.includes(mode)) {
+      throw new Error(`Invalid retrieval mode: ${mode}. Supported: ${RETRIEVAL_MODES.join(', ')}`);
+    }
+
+    const strategy = (options.retrievalStrategy || this.retrievalStrategy).toLowerCase();
+    if (!RETRIEVAL_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid retrieval strategy: ${strategy}. Supported: ${RETRIEVAL_STRATEGIES.join(', ')}`);
+    }
+
+    const rerank = options.rerank ?? Boolean(this.reranker);
+    if (rerank && !this.reranker) {
+      throw new Error('No reranker configured. Set RERANKER to ollama or cohere.');
+    }
+
+    const mmr = options.mmr ?? this.mmrEnabled;
+    const lambda = options.mmrLambda ?? this.mmrLambda;
+    if (mmr && !(lambda >= 0 && lambda <= 1)) {
+      throw new Error('MMR lambda must be between 0 and 1');
+    }
+
+    const poolSize = Math.max(k, rerank ? this.rerankCandidates : 0, mmr ? this.mmrCandidates : 0);
+    const subQueries = await this.expandQuery(query, strategy, options);
+    const fused = mode === 'hybrid' || subQueries.length > 0;
+
+    // Each retriever contributes a deeper candidate list when results are fused
+    const candidates = fused ? Math.max(poolSize * 4, 20) : poolSize;
+
+    const vectorSearch = async (text) => {
+      const embeddingResult = await localEmbeddings.embedText(text);
+      if (!embeddingResult.success) {
+        throw new Error(`Failed to generate query embedding: ${embeddingResult.error}`);
+      }
+
+      return this.vectorStore.search({ embedding: embeddingResult.embedding }, candidates, options.filter);
+    };
+
+    const keywordSearch = (text) => this.vectorStore.keywordSearch(text, candidates, options.filter);
+
+    const search = async (text) => {
+      if (mode === 'vector') {
+        return [await vectorSearch(text)];
+      } else if (mode === 'keyword') {
+        return [await keywordSearch(text)];
+      }
+      return Promise.all([vectorSearch(text), keywordSearch(text)]);
+    };
+
+    // The question's own results come first, so fused distances stay relative to it
+    const resultSets = (await Promise.all([query, ...subQueries].map(search))).flat();
+
+    const failed = resultSets.find(result => !result.success);
+    if (failed) {
+      throw new Error(`Failed to search documents: ${failed.error}`);
+    }
+
+    let searchResult = fused ? this.fuseResults(resultSets, poolSize) : resultSets[0];
+
+    // MMR needs the whole reranked pool to choose from, not just the top k
+    let reranked = false;
+    if (rerank) {
+      const rerankResult = await this.rerankResults(query, searchResult, mmr ? poolSize : k, options);
+      if (rerankResult) {
+        searchResult = rerankResult;
+        reranked = true;
+      }
+    }
+
+    let diversified = false;
+    if (mmr) {
+      const mmrResult = await this.diversifyResults(query, searchResult, k, lambda);
+      if (mmrResult) {
+        searchResult = mmrResult;
+        diversified = true;
+      }
+    }
+
+    return {
+      ...this.sliceResults(searchResult, k),
+      retrievalMode: mode,
+      retrievalStrategy: strategy,
+      subQueries,
+      reranked,
+      diversified
+    };
+  }
+
+  // Extra queries to search with alongside the question: paraphrases for multi-query,
+  // a hypothetical answer passage for HyDE (which embeds closer to real passages than
+  // a short question does). Returns none if generation fails.
+  async expandQuery(query, strategy, options = {}) {
+    if (strategy === 'single') {
+      return [];
+    }
+
+    const prompt = strategy === 'hyde'
+      ? `Write a short passage of three to five sentences that answers the question below, as if it were taken from a document in the user's knowledge base. Guess specifics if you have to; the passage is only used to search for real documents. Reply with the passage only.
+
+Question: ${query}`
+      : `Write ${this.multiQueryCount} different versions of the question below for searching a document collection. Use different wording and synonyms but keep the meaning. Reply with one question per line and nothing else.
+
+Question: ${query}`;
+
+    const result = await ollamaService.generateResponse([{ role: 'user', content: prompt }], null, helperOptions(options));
+    if (!result.success) {
+      console.warn(`⚠️ Query expansion (${strategy}) failed, searching with the question alone: ${result.error}`);
+      return [];
+    }
+
+    if (strategy === 'hyde') {
+      const passage = result.content.trim();
+      return passage ? [passage] : [];
+    }
+
+    const seen = new Set([query.trim().toLowerCase()]);
+    const paraphrases = [];
+    for (const line of result.content.split('\n')) {
+      // Models often number or bullet the list despite being asked not to
+      const paraphrase = line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').replace(/^["']|["']$/g, '').trim();
+      if (!paraphrase || seen.has(paraphrase.toLowerCase())) continue;
+
+      seen.add(paraphrase.toLowerCase());
+      paraphrases.push(paraphrase);
+    }
+
+    const subQueries = paraphrases.slice(0, this.multiQueryCount);
+    console.log(`🔄 Expanded query into ${subQueries.length} paraphrases`);
+    return subQueries;
+  }
+
+  // Maximal marginal relevance: pick chunks one at a time, trading relevance to the
+  // query (weighted by lambda) against similarity to the chunks already picked.
+  // Returns null on failure so the caller can keep the undiversified order.
+  async diversifyResults(query, searchResult, k, lambda) {
+    if (searchResult.ids.length <= 1) {
+      return searchResult;
+    }
+
+    try {
+      const [queryResult, stored] = await Promise.all([
+        localEmbeddings.embedText(query),
+        this.vectorStore.get({
+          ids: searchResult.ids,
+          limit: searchResult.ids.length,
+          include: ['embeddings']
+        })
+      ]);
+
+      if (!queryResult.success) {
+        throw new Error(queryResult.error);
+      }
+      if (!stored.success) {
+        throw new Error(stored.error);
+      }
+
+      const embeddingsById = new Map(stored.ids.map((id, index) => [id, Array.from(stored.embeddings[index])]));
+      const embeddings = searchResult.ids.map(id => embeddingsById.get(id));
+
+      // Reranker scores are the better relevance signal when present
+      const relevance = searchResult.ids.map((id, index) =>
+        searchResult.rerankScores?.[index] ?? cosineSimilarity(queryResult.embedding, embeddings[index])
+      );
+
+      const selected = [];
+      const remaining = new Set(searchResult.ids.map((id, index) => index));
+
+      while (selected.length < k && remaining.size > 0) {
+        let best = null;
+        let bestScore = -Infinity;
+
+        for (const index of remaining) {
+          const redundancy = selected.length === 0 ? 0 : Math.max(
+            ...selected.map(chosen => cosineSimilarity(embeddings[index], embeddings[chosen]))
+          );
+          const score = lambda * relevance[index] - (1 - lambda) * redundancy;
+
+          if (score > bestScore) {
+            bestScore = score;
+            best = index;
+          }
+        }
+
+        selected.push(best);
+        remaining.delete(best);
+      }
+
+      const pick = (values) => values ? selected.map(index => values[index]) : undefined;
+
+      return {
+        success: true,
+        results: pick(searchResult.results),
+        metadatas: pick(searchResult.metadatas),
+        distances: pick(searchResult.distances),
+        scores: pick(searchResult.scores),
+        rerankScores: pick(searchResult.rerankScores),
+        ids: pick(searchResult.ids)
+      };
+    } catch (error) {
+      console.warn(`⚠️ MMR diversification failed, keeping retrieval order: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Chunks are cut with an overlap, so neighbours from the same document repeat
+  // each other. Join consecutive chunks into one passage, placed where the
+  // best-ranked of them was.
+  mergeAdjacentChunks(searchResult) {
+    const entries = searchResult.results.map((text, index) => ({
+      id: searchResult.ids[index],
+      chunkIds: [searchResult.ids[index]],
+      text,
+      metadata: searchResult.metadatas[index] || {},
+      distance: searchResult.distances[index],
+      score: searchResult.scores?.[index],
+      rerankScore: searchResult.rerankScores?.[index],
+      rank: index
+    }));
+
+    const groups = {};
+    for (const entry of entries) {
+      const key = entry.metadata.documentId || entry.metadata.filename;
+      if (!key || typeof entry.metadata.chunkIndex !== 'number') continue;
+      if (!groups[key]) {
+        groups[key] = [];
+      }
+      groups[key].push(entry);
+    }
+
+    const merged = new Set();
+    for (const group of Object.values(groups)) {
+      group.sort((a, b) => a.metadata.chunkIndex - b.metadata.chunkIndex);
+
+      let run = group[0];
+      for (const entry of group.slice(1)) {
+        const runEnd = run.metadata.lastChunkIndex ?? run.metadata.chunkIndex;
+        if (entry.metadata.chunkIndex !== runEnd + 1) {
+          run = entry;
+          continue;
+        }
+
+        // Fold the later chunk into the run and keep the run's best rank and scores
+        run.text = joinOverlapping(run.text, entry.text);
+        run.metadata = { ...run.metadata, lastChunkIndex: entry.metadata.chunkIndex };
+        run.chunkIds.push(...entry.chunkIds);
+        if (entry.rank < run.rank) {
+          run.rank = entry.rank;
+          run.score = entry.score;
+          run.rerankScore = entry.rerankScore;
+        }
+        if (typeof entry.distance === 'number' && !(typeof run.distance === 'number' && run.distance <= entry.distance)) {
+          run.distance = entry.distance;
+        }
+        merged.add(entry);
+      }
+    }
+
+    const kept = entries
+      .filter(entry => !merged.has(entry))
+      .sort((a, b) => a.rank - b.rank);
+
+    // `ids` keeps each passage's first chunk; `chunkIds` lists all of them
+    return {
+      ...searchResult,
+      results: kept.map(entry => entry.text),
+      metadatas: kept.map(entry => entry.metadata),
+      distances: kept.map(entry => entry.distance),
+      scores: searchResult.scores && kept.map(entry => entry.score),
+      rerankScores: searchResult.rerankScores && kept.map(entry => entry.rerankScore),
+      ids: kept.map(entry => entry.id),
+      chunkIds: kept.map(entry => entry.chunkIds)
+    };
+  }
+
+  // Reorder candidates by reranker score. Returns null if the reranker fails, so
+  // the caller can fall back to retrieval order rather than failing the query.
+  async rerankResults(query, searchResult, limit, options = {}) {
+    if (searchResult.ids.length === 0) {
+      return { ...searchResult, rerankScores: [] };
+    }
+
+    try {
+      const scores = await this.reranker.rerank(query, searchResult.results, { signal: options.signal });
+      const order = scores
+        .map((score, index) => ({ score, index }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+      const pick = (values) => values ? order.map(({ index }) => values[index]) : undefined;
+
+      return {
+        success: true,
+        results: pick(searchResult.results),
+        metadatas: pick(searchResult.metadatas),
+        distances: pick(searchResult.distances),
+        scores: pick(searchResult.scores),
+        ids: pick(searchResult.ids),
+        rerankScores: order.map(({ score }) => score)
+      };
+    } catch (error) {
+      console.warn(`⚠️ Reranking with ${this.reranker.name} failed, keeping retrieval order: ${error.message}`);
+      return null;
+    }
+  }
+
+  sliceResults(searchResult, k) {
+    return {
+      ...searchResult,
+      results: searchResult.results.slice(0, k),
+      metadatas: searchResult.metadatas.slice(0, k),
+      distances: searchResult.distances.slice(0, k),
+      scores: searchResult.scores?.slice(0, k),
+      rerankScores: searchResult.rerankScores?.slice(0, k),
+      ids: searchResult.ids.slice(0, k)
+    };
+  }
+
+  // One entry per retrieved chunk, with the scores that got it chosen
+  buildSources(searchResult) {
+    return searchResult.results.map((text, index) => {
+      const metadata = searchResult.metadatas[index] || {};
+      return {
+        id: searchResult.ids[index],
+        text,
+        documentId: metadata.documentId,
+        filename: metadata.filename,
+        chunkIndex: metadata.chunkIndex,
+        distance: searchResult.distances[index] ?? null,
+        retrievalScore: searchResult.scores?.[index] ?? null,
+        rerankScore: searchResult.rerankScores?.[index] ?? null,
+        neighborOf: metadata.neighborOf ?? null
+      };
+    });
+  }
+
+  // Reciprocal rank fusion: each list adds 1 / (rrfK + rank) to a chunk's score,
+  // so chunks ranked well by both retrievers rise to the top
+  fuseResults(resultSets, k) {
+    const fused = new Map();
+
+    for (const resultSet of resultSets) {
+      resultSet.ids.forEach((id, rank) => {
+        if (!fused.has(id)) {
+          fused.set(id, {
+            id,
+            text: resultSet.results[rank],
+            metadata: resultSet.metadatas[rank] || {},
+            distance: null,
+            score: 0
+          });
+        }
+
+        const entry = fused.get(id);
+        entry.score += 1 / (this.rrfK + rank + 1);
+        // The first list to give a distance wins, so expansion queries never replace the question's
+        if (entry.distance === null && typeof resultSet.distances[rank] === 'number') {
+          entry.distance = resultSet.distances[rank];
+        }
+      });
+    }
+
+    const top = Array.from(fused.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+
+    return {
+      success: true,
+      results: top.map(entry => entry.text),
+      metadatas: top.map(entry => entry.metadata),
+      distances: top.map(entry => entry.distance),
+      scores: top.map(entry => entry.score),
+      ids: top.map(entry => entry.id)
+    };
+  }
+
   prepareContext(searchResult) {
     if (!searchResult.results || searchResult.results.length === 0) {
-      return "No relevant documents found in the knowledge base.";
+      return "No relevant documents were found in the user's knowledge base. Tell the user the answer is not in their documents. Only add general knowledge if you clearly say it does not come from their documents.";
     }
 
-    let context = "Based on the following documents:\n\n";
+    let context = CONTEXT_HEADER;
     
     searchResult.results.forEach((doc, index) => {
       const metadata = searchResult.metadatas[index] || {};
-      const distance = searchResult.distances[index] || 0;
-      const relevance = Math.round((1 - distance) * 100);
-      
-      context += `Document ${index + 1} (${relevance}% relevant`;
-      if (metadata.filename) {
-        context += `, from: ${metadata.filename}`;
-      }
-      context += `):\n${doc}\n\n`;
+      context += `${this.describePassage(metadata, searchResult.distances[index], index)}:\n${doc}\n\n`;
     });
 
     return context;
   }
 
+  describePassage(metadata, distance, index) {
+    // Keyword-only matches have no distance to turn into a percentage
+    // [n] is the marker the model cites the passage by
+    let description = typeof distance === 'number'
+      ? `Document [${index + 1}] (${Math.round((1 - distance) * 100)}% relevant`
+      : `Document [${index + 1}] (keyword match`;
+
+    if (metadata.filename) {
+      description += `, from: ${metadata.filename}`;
+    }
+    if (metadata.lastChunkIndex !== undefined) {
+      description += `, sections ${metadata.chunkIndex + 1}-${metadata.lastChunkIndex + 1}`;
+    }
+    return `${description})`;
+  }
+
   buildPrompt(query, context) {
-    return `Context:\n${context}\n\nQuestion: ${query}\n\nAnswer:`;
+    return `Context:\n${context}\n\n${CITATION_INSTRUCTION}\n\nQuestion: ${query}\n\nAnswer:`;
   }
 
-  async generateResponse(query, context, searchResult) {
+  async generateResponse(query, context, searchResult, history = [], options = {}) {
     const prompt = this.buildPrompt(query, context);
     
     const messages = [
+      ...history,
       { role: 'user', content: prompt }
     ];
 
-    return await ollamaService.generateResponse(messages, this.systemPrompt);
+    return await ollamaService.generateResponse(messages, options.systemPrompt || this.systemPrompt, generationOptions(options));
   }
 
-  async addDocumentToKnowledgeBase(documentChunks) {
+  async addDocumentToKnowledgeBase(documentChunks, options = {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -212,11 +1235,15 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
         throw new Error('Invalid document chunks provided');
       }
 
+      this.assertEmbeddingsCompatible();
+
       console.log(`📚 Adding ${documentChunks.length} document chunks to knowledge base...`);
 
       // Generate embeddings for all chunks
       const texts = documentChunks.map(chunk => chunk.text);
-      const embeddingResult = await localEmbeddings.embedBatch(texts);
+      const embeddingResult = await localEmbeddings.embedBatch(texts, {
+        onProgress: options.onProgress
+      });
 
       if (!embeddingResult.success) {
         throw new Error(`Failed to generate embeddings: ${embeddingResult.error}`);
@@ -228,6 +1255,7 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
         text: chunk.text,
         embedding: embeddingResult.embeddings[index],
         metadata: {
+          documentId: chunk.documentId,
           filename: chunk.filename,
           fileType: chunk.fileType,
           chunkIndex: chunk.chunkIndex,
@@ -237,7 +1265,7 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
       })).filter(doc => doc.embedding !== null);
 
       // Add to vector store
-      const addResult = await chromaVectorStore.addDocuments(documents);
+      const addResult = await this.vectorStore.addDocuments(documents);
 
       if (!addResult.success) {
         throw new Error(`Failed to add documents to vector store: ${addResult.error}`);
@@ -248,7 +1276,8 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
       return {
         success: true,
         chunksAdded: addResult.count,
-        totalChunks: documentChunks.length
+        totalChunks: documentChunks.length,
+        chunkIds: documents.map(doc => doc.id)
       };
     } catch (error) {
       console.error('Failed to add document to knowledge base:', error);
@@ -265,7 +1294,7 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
         await this.initialize();
       }
 
-      const stats = await chromaVectorStore.getCollectionInfo();
+      const stats = await this.vectorStore.getCollectionInfo();
       
       if (!stats.success) {
         throw new Error(`Failed to get collection info: ${stats.error}`);
@@ -275,8 +1304,17 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
         success: true,
         documentCount: stats.count,
         collectionName: stats.name,
+        vectorStoreBackend: stats.backend,
         vectorStoreUrl: stats.url,
+        retrievalMode: this.retrievalMode,
+        retrievalStrategy: this.retrievalStrategy,
+        reranker: this.reranker ? { provider: this.reranker.name, model: this.reranker.model } : null,
+        keywordIndexSize: this.vectorStore.keywordIndex.size,
+        relevanceThreshold: this.relevanceThreshold,
         embeddingModel: localEmbeddings.getModelInfo(),
+        embeddingCache: localEmbeddings.getCacheStats(),
+        embeddingStatus: this.embeddingStatus,
+        reembedJob: this.reembedJob,
         llmModel: ollamaService.model
       };
     } catch (error) {
@@ -290,16 +1328,25 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
 
   async clearKnowledgeBase() {
     try {
+      if (this.isReembedding()) {
+        return reembeddingConflict();
+      }
+
       if (!this.isInitialized) {
         await this.initialize();
       }
 
-      const result = await chromaVectorStore.resetCollection();
+      const result = await this.vectorStore.resetCollection();
       
       if (!result.success) {
         throw new Error(`Failed to clear knowledge base: ${result.error}`);
       }
 
+      await this.documentRegistry.clear();
+
+      // The fresh collection is stamped with the active model
+      await this.checkEmbeddingCompatibility();
+
       return {
         success: true,
         message: 'Knowledge base cleared successfully'
@@ -312,6 +1359,229 @@ Keep your answers clear, warm, and human. Speak like a wise friend. When possibl
       };
     }
   }
+
+  // Document changes are refused meanwhile: the re-embed copies the collection as it
+  // was and swaps the copy in, which would drop them
+  isReembedding() {
+    return this.reembedJob.status === 'running';
+  }
+
+  startReembedJob(onProgress) {
+    if (this.reembedJob.status === 'running') {
+      return this.reembedJob;
+    }
+
+    this.reembedKnowledgeBase(onProgress).catch(error => {
+      console.error('Background re-embed error:', error);
+    });
+
+    return this.reembedJob;
+  }
+
+  async reembedKnowledgeBase(onProgress) {
+    if (this.reembedJob.status === 'running') {
+      return {
+        success: false,
+        error: 'A re-embed job is already running'
+      };
+    }
+
+    // Claim the job before the first await so concurrent calls are rejected
+    this.reembedJob = {
+      status: 'running',
+      processed: 0,
+      total: 0,
+      startedAt: new Date().toISOString()
+    };
+
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const info = await this.vectorStore.getCollectionInfo();
+      if (!info.success) {
+        throw new Error(`Failed to get collection info: ${info.error}`);
+      }
+
+      const current = localEmbeddings.getModelInfo();
+      this.reembedJob.total = info.count;
+      this.reembedJob.model = current.model;
+
+      console.log(`🔄 Re-embedding ${info.count} chunks with ${current.model}...`);
+
+      // Write into a staging collection so the live one stays intact until the swap
+      const staging = this.vectorStore.withCollection(`${this.vectorStore.collectionName}-reembed`);
+      const stagingOk = await staging.initialize(current);
+      if (!stagingOk) {
+        throw new Error('Failed to create staging collection');
+      }
+
+      // Leftover chunks beside an empty live collection may be the only copy left by an
+      // interrupted swap, so they are not wiped without someone looking at them first
+      const stagingInfo = await staging.getCollectionInfo();
+      if (!stagingInfo.success) {
+        throw new Error(`Failed to get staging collection info: ${stagingInfo.error}`);
+      }
+      if (info.count === 0 && stagingInfo.count > 0) {
+        throw new Error(`The knowledge base is empty but its staging collection "${staging.collectionName}" still holds ${stagingInfo.count} chunks from an earlier re-embed. Check it and delete it before re-embedding.`);
+      }
+
+      await staging.resetCollection();
+
+      const pageSize = 100;
+      for (let offset = 0; offset < info.count; offset += pageSize) {
+        const page = await this.vectorStore.get({ limit: pageSize, offset });
+        if (!page.success) {
+          throw new Error(`Failed to read chunks: ${page.error}`);
+        }
+
+        if (page.ids.length === 0) break;
+
+        const embeddingResult = await localEmbeddings.embedBatch(page.results);
+        if (!embeddingResult.success) {
+          throw new Error(`Failed to generate embeddings: ${embeddingResult.error}`);
+        }
+
+        const documents = page.ids.map((id, index) => ({
+          id,
+          text: page.results[index],
+          embedding: embeddingResult.embeddings[index],
+          metadata: page.metadatas[index] || {}
+        }));
+
+        if (documents.some(doc => doc.embedding === null)) {
+          throw new Error('Failed to embed one or more chunks');
+        }
+
+        const addResult = await staging.addDocuments(documents);
+        if (!addResult.success) {
+          throw new Error(`Failed to store re-embedded chunks: ${addResult.error}`);
+        }
+
+        this.reembedJob.processed += documents.length;
+        if (onProgress) {
+          onProgress({
+            processed: this.reembedJob.processed,
+            total: this.reembedJob.total,
+            percentage: Math.round((this.reembedJob.processed / Math.max(1, this.reembedJob.total)) * 100)
+          });
+        }
+      }
+
+      const replaceResult = await this.vectorStore.replaceWith(staging);
+      if (!replaceResult.success) {
+        throw new Error(`Failed to swap in re-embedded collection: ${replaceResult.error}`);
+      }
+
+      await this.checkEmbeddingCompatibility();
+
+      this.reembedJob = {
+        ...this.reembedJob,
+        status: 'completed',
+        finishedAt: new Date().toISOString()
+      };
+
+      console.log(`✅ Re-embedded ${this.reembedJob.processed} chunks with ${current.model}`);
+
+      return {
+        success: true,
+        chunksReembedded: this.reembedJob.processed
+      };
+    } catch (error) {
+      console.error('Failed to re-embed knowledge base:', error);
+      this.reembedJob = {
+        ...this.reembedJob,
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date().toISOString()
+      };
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export function reembeddingConflict() {
+  return {
+    success: false,
+    conflict: true,
+    error: 'The knowledge base is being re-embedded; try again once it finishes'
+  };
+}
+
+// Squared L2 distance, the measure both vector stores return
+function squaredDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    distance += diff * diff;
+  }
+  return distance;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Join two consecutive chunks, dropping the text they share at the seam
+function joinOverlapping(first, second) {
+  const maxOverlap = Math.min(first.length, second.length, 500);
+  for (let length = maxOverlap; length >= 20; length--) {
+    if (first.endsWith(second.slice(0, length))) {
+      return first + second.slice(length);
+    }
+  }
+  return `${first}\n${second}`;
+}
+
+// The per-request overrides OllamaService understands, and the signal that cancels generation
+function generationOptions(options) {
+  return {
+    model: options.model,
+    temperature: options.temperature,
+    topP: options.topP,
+    numCtx: options.numCtx,
+    maxTokens: options.maxTokens,
+    signal: options.signal
+  };
+}
+
+// Query rewriting, expansion and answer checking run on the request's model too,
+// and stop with it when the request is cancelled
+function helperOptions(options) {
+  return {
+    model: options.model,
+    numCtx: options.numCtx,
+    signal: options.signal
+  };
+}
+
+
+export function getRetrievalModes() {
+  return RETRIEVAL_MODES;
+}
+
+export function getRetrievalStrategies() {
+  return RETRIEVAL_STRATEGIES;
+}
+
+export function getMaxNeighborChunks() {
+  return MAX_NEIGHBOR_CHUNKS;
+}
+
+export function getMaxK() {
+  return MAX_K;
 }
 
 export const ragService = new RAGService(); 
\ No newline at end of file
@@ -0,0 +1,120 @@
+import { CohereClient } from 'cohere-ai';
+
+// Rerankers used by RAGService. Each one exposes the same shape:
+// rerank(query, texts, { signal }) -> number[] of relevance scores in [0, 1], in input order.
+// The optional signal cancels the request.
+
+// Asks a local Ollama model to grade each candidate against the query. Slower
+// than a dedicated cross-encoder, but needs nothing beyond Ollama itself.
+class OllamaReranker {
+  constructor(model) {
+    this.name = 'ollama';
+    this.baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+    this.model = model || process.env.OLLAMA_MODEL || 'mistral';
+  }
+
+  async rerank(query, texts, options = {}) {
+    return Promise.all(texts.map(text => this.score(query, text, options.signal)));
+  }
+
+  async score(query, text, signal) {
+    const prompt = `Rate how well the passage answers the question, from 0 (irrelevant) to 10 (fully answers it).
+Respond only with JSON like {"score": 7}.
+
+Question: ${query}
+
+Passage:
+${text}`;
+
+    const response = await fetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        prompt,
+        format: 'json',
+        stream: false,
+        options: {
+          temperature: 0
+        }
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama rerank API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    let score;
+    try {
+      score = Number(JSON.parse(data.response).score);
+    } catch (error) {
+      // Fall back to the first number in the reply
+      score = Number((data.response || '').match(/\d+(\.\d+)?/)?.[0]);
+    }
+
+    if (!Number.isFinite(score)) {
+      return 0;
+    }
+
+    return Math.min(10, Math.max(0, score)) / 10;
+  }
+}
+
+class CohereReranker {
+  constructor(model) {
+    this.name = 'cohere';
+    this.model = model || 'rerank-english-v3.0';
+    this.client = null;
+  }
+
+  async rerank(query, texts, options = {}) {
+    if (!process.env.COHERE_API_KEY) {
+      throw new Error('COHERE_API_KEY is required for the cohere reranker');
+    }
+
+    if (!this.client) {
+      this.client = new CohereClient({ token: process.env.COHERE_API_KEY });
+    }
+
+    const response = await this.client.rerank({
+      model: this.model,
+      query,
+      documents: texts,
+      topN: texts.length
+    }, {
+      abortSignal: options.signal
+    });
+
+    const scores = new Array(texts.length).fill(0);
+    for (const result of response.results) {
+      scores[result.index] = result.relevanceScore;
+    }
+
+    return scores;
+  }
+}
+
+export function getSupportedRerankers() {
+  return ['none', 'ollama', 'cohere'];
+}
+
+// Returns null when reranking is disabled
+export function createReranker(name, model) {
+  switch ((name || 'none').toLowerCase()) {
+    case 'none':
+      return null;
+
+    case 'ollama':
+      return new OllamaReranker(model);
+
+    case 'cohere':
+      return new CohereReranker(model);
+
+    default:
+      throw new Error(`Unsupported reranker: ${name}. Supported: ${getSupportedRerankers().join(', ')}`);
+  }
+}
@@ -0,0 +1,374 @@
+import { localEmbeddings } from './embeddings.js';
+import { reembeddingConflict } from './rag.js';
+
+const SNAPSHOT_FORMAT = 'isha-snapshot';
+const SNAPSHOT_VERSION = 1;
+const CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+const PAGE_SIZE = 100;
+// Ids name files and directories on disk, so only plain ids are imported
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const VERSION_PATTERN = /^[1-9]\d*$/;
+
+// Errors in the snapshot itself, as opposed to failures while storing it
+function invalidSnapshot(message) {
+  const error = new Error(message);
+  error.invalid = true;
+  return error;
+}
+
+function checkDocumentRecord({ document, versionTexts = {} }) {
+  if (!document || typeof document !== 'object' || !ID_PATTERN.test(String(document.id))) {
+    throw invalidSnapshot(`Invalid document id in snapshot: ${document?.id}`);
+  }
+
+  const versions = [...(document.versions || []).map(entry => entry.version), ...Object.keys(versionTexts)];
+  if (document.version !== undefined) {
+    versions.push(document.version);
+  }
+  const badVersion = versions.find(version => !VERSION_PATTERN.test(String(version)));
+  if (badVersion !== undefined) {
+    throw invalidSnapshot(`Invalid version of document ${document.id}: ${badVersion}`);
+  }
+}
+
+// Portable knowledge base backups. A snapshot is JSON Lines: a header with the
+// embedding model, then each document's registry entry and version texts
+// followed by its chunks, embeddings included.
+class SnapshotService {
+  getConflictModes() {
+    return CONFLICT_MODES;
+  }
+
+  async exportSnapshot({ workspace, ragService, documentService }, onRecord) {
+    try {
+      const ready = await ragService.initialize() && await documentService.initialize();
+      if (!ready) {
+        throw new Error('Failed to initialize knowledge base');
+      }
+
+      const { vectorStore, documentRegistry } = documentService;
+      const documents = await documentRegistry.list();
+      const chunkCount = documents.reduce((sum, doc) => sum + doc.chunkIds.length, 0);
+
+      onRecord({
+        type: 'header',
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        createdAt: new Date().toISOString(),
+        workspace: workspace.id,
+        collectionName: vectorStore.collectionName,
+        embedding: vectorStore.getEmbeddingInfo(),
+        counts: {
+          documents: documents.length,
+          chunks: chunkCount
+        }
+      });
+
+      let chunksExported = 0;
+      for (const document of documents) {
+        const versionTexts = {};
+        for (const entry of document.versions) {
+          const text = await documentRegistry.getVersionText(document.id, entry.version);
+          if (text !== null) {
+            versionTexts[entry.version] = text;
+          }
+        }
+
+        onRecord({ type: 'document', document, versionTexts });
+
+        for (let offset = 0; offset < document.chunkIds.length; offset += PAGE_SIZE) {
+          const ids = document.chunkIds.slice(offset, offset + PAGE_SIZE);
+          const page = await vectorStore.get({
+            ids,
+            limit: ids.length,
+            include: ['documents', 'metadatas', 'embeddings']
+          });
+
+          if (!page.success) {
+            throw new Error(`Failed to read chunks: ${page.error}`);
+          }
+
+          page.ids.forEach((id, index) => {
+            onRecord({
+              type: 'chunk',
+              documentId: document.id,
+              id,
+              text: page.results[index],
+              metadata: page.metadatas[index] || {},
+              embedding: Array.from(page.embeddings[index] || [])
+            });
+          });
+          chunksExported += page.ids.length;
+        }
+      }
+
+      console.log(`✅ Exported ${documents.length} documents (${chunksExported} chunks) from workspace ${workspace.id}`);
+      return {
+        success: true,
+        documents: documents.length,
+        chunks: chunksExported
+      };
+    } catch (error) {
+      console.error('Failed to export snapshot:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // `records` is any (async) iterable of parsed snapshot lines, e.g. parseSnapshotStream()
+  async importSnapshot({ ragService, documentService }, records, options = {}) {
+    const { onConflict = 'skip', reembed = false, onProgress } = options;
+
+    try {
+      if (!CONFLICT_MODES.includes(onConflict)) {
+        throw invalidSnapshot(`Invalid conflict mode. Supported: ${CONFLICT_MODES.join(', ')}`);
+      }
+
+      if (ragService.isReembedding()) {
+        return reembeddingConflict();
+      }
+
+      const ready = await ragService.initialize() && await documentService.initialize();
+      if (!ready) {
+        throw new Error('Failed to initialize knowledge base');
+      }
+
+      ragService.assertEmbeddingsCompatible();
+
+      const stats = {
+        documents: 0,
+        chunks: 0,
+        skipped: 0,
+        overwritten: 0,
+        renamed: 0,
+        reembedded: false
+      };
+
+      let header = null;
+      let pending = null;
+
+      for await (const record of records) {
+        if (!header) {
+          const check = this.checkHeader(record, reembed);
+          if (!check.success) {
+            return check;
+          }
+          header = record;
+          stats.reembedded = check.reembed;
+          continue;
+        }
+
+        if (record.type === 'document') {
+          checkDocumentRecord(record);
+          if (pending) {
+            await this.importDocument(documentService, pending, onConflict, stats);
+            if (onProgress) onProgress({ ...stats, total: header.counts?.documents });
+          }
+          pending = { document: record.document, versionTexts: record.versionTexts || {}, chunks: [] };
+        } else if (record.type === 'chunk') {
+          if (!pending || record.documentId !== pending.document.id) {
+            throw invalidSnapshot(`Chunk ${record.id} does not follow its document`);
+          }
+          if (!ID_PATTERN.test(String(record.id))) {
+            throw invalidSnapshot(`Invalid chunk id in snapshot: ${record.id}`);
+          }
+          pending.chunks.push(record);
+        } else {
+          throw invalidSnapshot(`Unknown snapshot record type: ${record.type}`);
+        }
+      }
+
+      if (!header) {
+        throw invalidSnapshot('Snapshot is empty');
+      }
+
+      if (pending) {
+        await this.importDocument(documentService, pending, onConflict, stats);
+        if (onProgress) onProgress({ ...stats, total: header.counts?.documents });
+      }
+
+      console.log(`✅ Imported ${stats.documents} documents (${stats.chunks} chunks), skipped ${stats.skipped}`);
+      return {
+        success: true,
+        ...stats
+      };
+    } catch (error) {
+      console.error('Failed to import snapshot:', error);
+      return {
+        success: false,
+        invalid: error.invalid === true,
+        error: error.message
+      };
+    }
+  }
+
+  checkHeader(header, reembed) {
+    if (header.type !== 'header' || header.format !== SNAPSHOT_FORMAT) {
+      return {
+        success: false,
+        invalid: true,
+        error: 'Not a knowledge base snapshot'
+      };
+    }
+
+    if (header.version > SNAPSHOT_VERSION) {
+      return {
+        success: false,
+        invalid: true,
+        error: `Snapshot version ${header.version} is newer than this server supports (${SNAPSHOT_VERSION})`
+      };
+    }
+
+    // Stored vectors are only usable if they came from the active embedding model
+    const current = localEmbeddings.getModelInfo();
+    const stored = header.embedding;
+    const sameModel = Boolean(stored) &&
+      stored.model === current.model &&
+      Number(stored.dimensions) === Number(current.dimensions);
+
+    if (!sameModel && !reembed) {
+      const storedLabel = stored ? `${stored.model} (${stored.dimensions} dimensions)` : 'an unknown model';
+      return {
+        success: false,
+        incompatible: true,
+        error: `Snapshot was embedded with ${storedLabel} but the active embedding model is ${current.model} (${current.dimensions} dimensions). Import with reembed=true to re-embed its chunks.`
+      };
+    }
+
+    return {
+      success: true,
+      reembed: !sameModel
+    };
+  }
+
+  async importDocument(documentService, { document, versionTexts, chunks }, onConflict, stats) {
+    const { vectorStore, documentRegistry } = documentService;
+    let documentId = document.id;
+    let replaced = null;
+
+    const existing = await documentRegistry.get(documentId);
+    if (existing) {
+      if (onConflict === 'skip') {
+        stats.skipped++;
+        return;
+      }
+
+      if (onConflict === 'overwrite') {
+        // Like DocumentService.replaceContent(), the existing document stays in
+        // place until its replacement is fully stored
+        replaced = existing;
+      } else {
+        documentId = documentRegistry.generateId();
+      }
+    }
+
+    // Renamed and overwriting documents get fresh chunk ids too, so they cannot
+    // collide with the chunks already stored
+    const freshIds = documentId !== document.id || replaced !== null;
+    const records = chunks.map(chunk => ({
+      id: freshIds ? documentRegistry.generateId() : chunk.id,
+      text: chunk.text,
+      embedding: chunk.embedding,
+      metadata: { ...chunk.metadata, documentId }
+    }));
+
+    if (stats.reembedded && records.length > 0) {
+      const embeddingResult = await localEmbeddings.embedBatch(records.map(record => record.text));
+      if (!embeddingResult.success || embeddingResult.embeddings.some(embedding => embedding === null)) {
+        throw new Error(`Failed to re-embed chunks of ${document.filename}`);
+      }
+      records.forEach((record, index) => {
+        record.embedding = embeddingResult.embeddings[index];
+      });
+    }
+
+    const added = [];
+    try {
+      for (let offset = 0; offset < records.length; offset += PAGE_SIZE) {
+        const batch = records.slice(offset, offset + PAGE_SIZE);
+        const addResult = await vectorStore.addDocuments(batch);
+        if (!addResult.success) {
+          throw new Error(`Failed to store chunks of ${document.filename}: ${addResult.error}`);
+        }
+        added.push(...batch.map(record => record.id));
+      }
+
+      await documentRegistry.put({
+        ...document,
+        id: documentId,
+        chunkIds: records.map(record => record.id)
+      });
+
+      for (const [version, text] of Object.entries(versionTexts)) {
+        await documentRegistry.saveVersionText(documentId, version, text);
+      }
+    } catch (error) {
+      // Leave no half-imported document behind
+      if (added.length > 0) {
+        await vectorStore.deleteDocuments(added);
+      }
+      if (replaced) {
+        await documentRegistry.put(replaced);
+      } else {
+        await documentRegistry.remove(documentId);
+      }
+      throw error;
+    }
+
+    // Only now retire the replaced document's chunks
+    if (replaced) {
+      if (replaced.chunkIds.length > 0) {
+        const deleteResult = await vectorStore.deleteDocuments(replaced.chunkIds);
+        if (!deleteResult.success) {
+          console.warn(`⚠️ Previous chunks of ${documentId} could not be removed: ${deleteResult.error}`);
+        }
+      }
+      stats.overwritten++;
+    } else if (documentId !== document.id) {
+      stats.renamed++;
+    }
+
+    stats.documents++;
+    stats.chunks += records.length;
+  }
+}
+
+// Turns a stream of JSON Lines bytes (e.g. a request body) into parsed records
+export async function* parseSnapshotStream(stream) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let lineNumber = 0;
+
+  const parseLine = (line) => {
+    lineNumber++;
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw invalidSnapshot(`Invalid JSON on snapshot line ${lineNumber}: ${error.message}`);
+    }
+  };
+
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) {
+        yield parseLine(line);
+      } else {
+        lineNumber++;
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    yield parseLine(buffer.trim());
+  }
+}
+
+export const snapshotService = new SnapshotService();
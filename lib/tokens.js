@@ -0,0 +1,43 @@
+// Approximate characters per token by model family. Ollama does not expose its
+// tokenizers, so prompts are budgeted with these ratios, which err on the side of
+// overestimating for English text.
+const FAMILY_RATIOS = {
+  llama: 3.8,
+  mistral: 3.5,
+  gemma: 4,
+  gemma2: 4,
+  gemma3: 4,
+  qwen2: 3.6,
+  qwen3: 3.6,
+  phi3: 3.5,
+  nomic: 4
+};
+const DEFAULT_RATIO = 3.5;
+
+class TokenEstimator {
+  getRatio(modelInfo = {}) {
+    return FAMILY_RATIOS[modelInfo.family] || DEFAULT_RATIO;
+  }
+
+  estimate(text, modelInfo) {
+    if (!text) return 0;
+    return Math.ceil(text.length / this.getRatio(modelInfo));
+  }
+
+  // Shorten text to about `tokens` tokens, ending on a sentence or word boundary
+  truncate(text, tokens, modelInfo) {
+    const limit = Math.floor(tokens * this.getRatio(modelInfo));
+    if (text.length <= limit) return text;
+
+    const cut = text.slice(0, limit);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'), cut.lastIndexOf('? '), cut.lastIndexOf('! '));
+    if (sentenceEnd > limit / 2) {
+      return `${cut.slice(0, sentenceEnd + 1)} …`;
+    }
+
+    const wordEnd = cut.lastIndexOf(' ');
+    return `${wordEnd > 0 ? cut.slice(0, wordEnd) : cut} …`;
+  }
+}
+
+export const tokenEstimator = new TokenEstimator();
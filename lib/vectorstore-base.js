@@ -0,0 +1,320 @@
+import { KeywordIndex } from './keyword-index.js';
+
+// The `where` operators every backend supports
+const WHERE_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin'];
+
+// Interface shared by the vector store backends. Every method resolves to a
+// { success, ... } result object, the same as the rest of lib/.
+// Backends keep `keywordIndex` in step with every add, delete and reset.
+export class VectorStore {
+  constructor(options = {}) {
+    this.backend = 'unknown';
+    this.collection = null;
+    this.collectionName = options.collectionName || process.env.CHROMADB_COLLECTION_NAME || 'documents';
+    this.embeddingInfo = null;
+    this.keywordIndex = new KeywordIndex({ collectionName: this.collectionName });
+  }
+
+  // Returns a store of the same backend bound to another collection
+  withCollection(collectionName) {
+    return new this.constructor({ collectionName });
+  }
+
+  async initialize(embeddingInfo) {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  async addDocuments(documents) {
+    throw new Error(`${this.constructor.name} does not implement addDocuments()`);
+  }
+
+  async search(query, k, filter) {
+    throw new Error(`${this.constructor.name} does not implement search()`);
+  }
+
+  async get(options) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  async deleteDocuments(ids) {
+    throw new Error(`${this.constructor.name} does not implement deleteDocuments()`);
+  }
+
+  // Every record matching `where`, read page by page through get()
+  async list({ where = null, include = ['metadatas'], pageSize = 500 } = {}) {
+    try {
+      const ids = [];
+      const results = [];
+      const metadatas = [];
+      const embeddings = [];
+
+      for (let offset = 0; ; offset += pageSize) {
+        const page = await this.get({ where, limit: pageSize, offset, include });
+        if (!page.success) {
+          throw new Error(page.error);
+        }
+
+        ids.push(...page.ids);
+        results.push(...page.results);
+        metadatas.push(...page.metadatas);
+        embeddings.push(...page.embeddings);
+
+        if (page.ids.length < pageSize) break;
+      }
+
+      return {
+        success: true,
+        ids,
+        results,
+        metadatas,
+        embeddings
+      };
+    } catch (error) {
+      console.error('Vector store list error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async deleteWhere(where) {
+    try {
+      if (!where || Object.keys(where).length === 0) {
+        throw new Error('A where filter is required; use resetCollection() to delete everything');
+      }
+
+      const matches = await this.list({ where, include: [] });
+      if (!matches.success) {
+        throw new Error(matches.error);
+      }
+
+      if (matches.ids.length === 0) {
+        return {
+          success: true,
+          count: 0,
+          ids: []
+        };
+      }
+
+      const result = await this.deleteDocuments(matches.ids);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+        count: matches.ids.length,
+        ids: matches.ids
+      };
+    } catch (error) {
+      console.error('Vector store delete where error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Rebuild the keyword index from the stored chunks when it has drifted, e.g. for
+  // collections created before the index existed
+  async syncKeywordIndex() {
+    try {
+      await this.keywordIndex.initialize();
+
+      const info = await this.getCollectionInfo();
+      if (!info.success) {
+        throw new Error(info.error);
+      }
+
+      if (info.count === this.keywordIndex.size) {
+        return {
+          success: true,
+          rebuilt: false
+        };
+      }
+
+      const all = await this.list({ include: ['documents'] });
+      if (!all.success) {
+        throw new Error(all.error);
+      }
+
+      await this.keywordIndex.rebuild(all.ids.map((id, index) => ({ id, text: all.results[index] })));
+      console.log(`✅ Rebuilt keyword index for ${this.collectionName} (${all.ids.length} chunks)`);
+
+      return {
+        success: true,
+        rebuilt: true
+      };
+    } catch (error) {
+      console.error('Keyword index sync error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // BM25 search, shaped like search() but with `scores` and no distances
+  async keywordSearch(queryText, k = 5, filter = null) {
+    try {
+      await this.keywordIndex.initialize();
+
+      // Over-fetch when filtering, since the index knows nothing about metadata
+      const hits = this.keywordIndex.search(queryText, filter ? k * 10 : k);
+      if (hits.length === 0) {
+        return {
+          success: true,
+          results: [],
+          metadatas: [],
+          distances: [],
+          scores: [],
+          ids: []
+        };
+      }
+
+      const page = await this.get({
+        ids: hits.map(hit => hit.id),
+        where: filter,
+        limit: hits.length,
+        include: ['documents', 'metadatas']
+      });
+
+      if (!page.success) {
+        throw new Error(page.error);
+      }
+
+      const found = new Map(page.ids.map((id, index) => [id, index]));
+      const top = hits.filter(hit => found.has(hit.id)).slice(0, k);
+
+      return {
+        success: true,
+        results: top.map(hit => page.results[found.get(hit.id)]),
+        metadatas: top.map(hit => page.metadatas[found.get(hit.id)] || {}),
+        distances: top.map(() => null),
+        scores: top.map(hit => hit.score),
+        ids: top.map(hit => hit.id)
+      };
+    } catch (error) {
+      console.error('Keyword search error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async getCollectionInfo() {
+    throw new Error(`${this.constructor.name} does not implement getCollectionInfo()`);
+  }
+
+  async checkHealth() {
+    throw new Error(`${this.constructor.name} does not implement checkHealth()`);
+  }
+
+  async setEmbeddingInfo(embeddingInfo) {
+    throw new Error(`${this.constructor.name} does not implement setEmbeddingInfo()`);
+  }
+
+  async replaceWith(otherStore) {
+    throw new Error(`${this.constructor.name} does not implement replaceWith()`);
+  }
+
+  async resetCollection() {
+    throw new Error(`${this.constructor.name} does not implement resetCollection()`);
+  }
+
+  // Deletes the collection outright, without recreating it
+  async dropCollection() {
+    throw new Error(`${this.constructor.name} does not implement dropCollection()`);
+  }
+
+  buildEmbeddingMetadata(embeddingInfo) {
+    if (!embeddingInfo || !embeddingInfo.model) {
+      return {};
+    }
+
+    return {
+      embedding_provider: embeddingInfo.provider || 'unknown',
+      embedding_model: embeddingInfo.model,
+      embedding_dimensions: Number(embeddingInfo.dimensions) || 0
+    };
+  }
+
+  getEmbeddingInfo() {
+    const metadata = this.collection?.metadata || {};
+
+    if (!metadata.embedding_model) {
+      return null;
+    }
+
+    return {
+      provider: metadata.embedding_provider,
+      model: metadata.embedding_model,
+      dimensions: metadata.embedding_dimensions
+    };
+  }
+}
+
+// Checks a metadata filter from outside, such as { fileType: "pdf", chunkIndex: { $lt: 10 } }.
+// Returns an error message, or null if every backend can run it.
+export function validateWhere(where) {
+  if (!where || typeof where !== 'object' || Array.isArray(where) || Object.keys(where).length === 0) {
+    return 'filters must be a non-empty object';
+  }
+
+  const isValue = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+  for (const [key, condition] of Object.entries(where)) {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        return `${key} must be a non-empty array of filters`;
+      }
+      for (const clause of condition) {
+        const error = validateWhere(clause);
+        if (error) return error;
+      }
+      continue;
+    }
+
+    if (key.startsWith('$')) {
+      return `Unsupported filter operator: ${key}`;
+    }
+
+    if (isValue(condition)) continue;
+
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition) || Object.keys(condition).length === 0) {
+      return `Filter on "${key}" must be a value or an object of operators`;
+    }
+
+    for (const [operator, operand] of Object.entries(condition)) {
+      if (!WHERE_OPERATORS.includes(operator)) {
+        return `Unsupported filter operator: ${operator}`;
+      }
+      const valid = operator === '$in' || operator === '$nin'
+        ? Array.isArray(operand) && operand.length > 0 && operand.every(isValue)
+        : isValue(operand);
+      if (!valid) {
+        return `Invalid value for ${operator} on "${key}"`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Chroma takes a single field or operator at each level, so several fields, or
+// several operators on one field, are joined with $and
+export function normalizeWhere(where) {
+  const clauses = Object.entries(where).flatMap(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      return [{ [key]: condition.map(normalizeWhere) }];
+    }
+    if (condition && typeof condition === 'object') {
+      return Object.entries(condition).map(([operator, operand]) => ({ [key]: { [operator]: operand } }));
+    }
+    return [{ [key]: condition }];
+  });
+
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
@@ -1,15 +1,20 @@
 import { ChromaClient } from 'chromadb';
+import { VectorStore } from './vectorstore-base.js';
+import { FileVectorStore } from './file-vectorstore.js';
 
-class ChromaVectorStore {
-  constructor() {
+export class ChromaVectorStore extends VectorStore {
+  constructor(options = {}) {
+    super(options);
+    this.backend = 'chroma';
     this.client = null;
-    this.collection = null;
-    this.collectionName = process.env.CHROMADB_COLLECTION_NAME || 'documents';
     this.baseUrl = process.env.CHROMADB_URL || 'http://localhost:8000';
   }
 
-  async initialize() {
+  async initialize(embeddingInfo = this.embeddingInfo) {
     try {
+      // Remember the embedding model so lazy re-initialization stamps new collections too
+      this.embeddingInfo = embeddingInfo;
+
       this.client = new ChromaClient({
         path: this.baseUrl
       });
@@ -25,7 +30,8 @@ class ChromaVectorStore {
         this.collection = await this.client.createCollection({
           name: this.collectionName,
           metadata: {
-            description: "Document embeddings for RAG chatbot"
+            description: "Document embeddings for RAG chatbot",
+            ...this.buildEmbeddingMetadata(embeddingInfo)
           }
         });
         console.log(`✅ Created new ChromaDB collection: ${this.collectionName}`);
@@ -75,6 +81,7 @@ class ChromaVectorStore {
         metadatas,
         embeddings
       });
+      await this.keywordIndex.add(ids.map((id, index) => ({ id, text: texts[index] })));
 
       console.log(`✅ Added ${ids.length} documents to ChromaDB`);
       return {
@@ -90,6 +97,75 @@ class ChromaVectorStore {
     }
   }
 
+  async setEmbeddingInfo(embeddingInfo) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      // Chroma rejects changes to hnsw:* settings, so only carry over plain metadata
+      const currentMetadata = Object.fromEntries(
+        Object.entries(this.collection.metadata || {}).filter(([key]) => !key.startsWith('hnsw:'))
+      );
+      const metadata = {
+        ...currentMetadata,
+        ...this.buildEmbeddingMetadata(embeddingInfo)
+      };
+
+      await this.collection.modify({ metadata });
+      this.collection.metadata = metadata;
+      this.embeddingInfo = embeddingInfo;
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('ChromaDB set embedding info error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async get({ ids = null, where = null, limit = 100, offset = 0, include = ['documents', 'metadatas'] } = {}) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      const getParams = {
+        limit,
+        offset,
+        include
+      };
+
+      if (ids) {
+        getParams.ids = ids;
+      }
+
+      if (where) {
+        getParams.where = where;
+      }
+
+      const results = await this.collection.get(getParams);
+
+      return {
+        success: true,
+        ids: results.ids || [],
+        results: results.documents || [],
+        metadatas: results.metadatas || [],
+        embeddings: results.embeddings || []
+      };
+    } catch (error) {
+      console.error('ChromaDB get error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   async search(query, k = 5, filter = null) {
     try {
       if (!this.collection) {
@@ -140,6 +216,7 @@ class ChromaVectorStore {
       await this.collection.delete({
         ids
       });
+      await this.keywordIndex.remove(ids);
 
       console.log(`✅ Deleted ${ids.length} documents from ChromaDB`);
       return {
@@ -164,6 +241,7 @@ class ChromaVectorStore {
       const count = await this.collection.count();
       return {
         success: true,
+        backend: this.backend,
         name: this.collectionName,
         count,
         url: this.baseUrl
@@ -186,6 +264,65 @@ class ChromaVectorStore {
     }
   }
 
+  // Swap in another store's collection under this store's name, dropping the current one.
+  // The current collection is renamed aside first and only dropped once the swap has
+  // succeeded, so a failure part way through never loses it.
+  async replaceWith(otherStore) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      if (!otherStore.collection) {
+        throw new Error('Replacement collection is not initialized');
+      }
+
+      const retiredName = `${this.collectionName}-retired-${Date.now()}`;
+      await this.collection.modify({
+        name: retiredName
+      });
+
+      try {
+        await otherStore.collection.modify({
+          name: this.collectionName
+        });
+      } catch (error) {
+        try {
+          await this.collection.modify({
+            name: this.collectionName
+          });
+        } catch (restoreError) {
+          throw new Error(`${error.message}; the previous collection could not be renamed back and is kept as ${retiredName}`);
+        }
+        throw error;
+      }
+
+      this.collection = null;
+      otherStore.collection = null;
+      await this.keywordIndex.replaceWith(otherStore.keywordIndex);
+      await this.initialize(otherStore.embeddingInfo);
+
+      try {
+        await this.client.deleteCollection({
+          name: retiredName
+        });
+      } catch (error) {
+        console.warn(`⚠️ Previous ChromaDB collection could not be deleted and is kept as ${retiredName}: ${error.message}`);
+      }
+
+      console.log(`✅ Replaced ChromaDB collection: ${this.collectionName}`);
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('ChromaDB replace collection error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   async resetCollection() {
     try {
       if (this.collection) {
@@ -195,6 +332,7 @@ class ChromaVectorStore {
       }
       
       this.collection = null;
+      await this.keywordIndex.clear();
       await this.initialize();
       
       return {
@@ -209,6 +347,50 @@ class ChromaVectorStore {
       };
     }
   }
+
+  async dropCollection() {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      await this.client.deleteCollection({
+        name: this.collectionName
+      });
+      this.collection = null;
+      await this.keywordIndex.destroy();
+
+      console.log(`✅ Deleted ChromaDB collection: ${this.collectionName}`);
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('ChromaDB drop collection error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export function getSupportedVectorStores() {
+  return ['chroma', 'file'];
+}
+
+export function createVectorStore(options = {}) {
+  const backend = (options.backend || process.env.VECTOR_STORE || 'chroma').toLowerCase();
+
+  switch (backend) {
+    case 'chroma':
+      return new ChromaVectorStore(options);
+
+    case 'file':
+      return new FileVectorStore(options);
+
+    default:
+      throw new Error(`Unsupported vector store: ${backend}. Supported: ${getSupportedVectorStores().join(', ')}`);
+  }
 }
 
-export const chromaVectorStore = new ChromaVectorStore(); 
\ No newline at end of file
+export const vectorStore = createVectorStore(); 
\ No newline at end of file
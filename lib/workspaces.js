@@ -0,0 +1,291 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { JsonFileWriter } from './json-file.js';
+import { ragService } from './rag.js';
+import { documentService } from './documents.js';
+
+const DEFAULT_WORKSPACE = 'default';
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/;
+
+// Named knowledge bases, each backed by its own collection. The default
+// workspace is the collection from CHROMADB_COLLECTION_NAME and always exists.
+class WorkspaceService {
+  constructor() {
+    this.file = process.env.WORKSPACES_PATH || path.join(process.cwd(), '.data', 'workspaces.json');
+    this.workspaces = null;
+    this.services = new Map();
+    this.writer = new JsonFileWriter();
+  }
+
+  async initialize() {
+    try {
+      if (this.workspaces) return true;
+
+      let stored = [];
+      try {
+        const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+        stored = data.workspaces || [];
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.workspaces = new Map(stored.map(workspace => [workspace.id, workspace]));
+
+      if (!this.workspaces.has(DEFAULT_WORKSPACE)) {
+        this.workspaces.set(DEFAULT_WORKSPACE, {
+          id: DEFAULT_WORKSPACE,
+          name: 'Default',
+          description: 'The original knowledge base',
+          collectionName: ragService.vectorStore.collectionName,
+          createdAt: new Date().toISOString()
+        });
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`❌ Workspace initialization failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  async persist() {
+    const workspaces = Array.from(this.workspaces.values());
+    return this.writer.write(this.file, { workspaces }, { pretty: true });
+  }
+
+  getDefaultWorkspace() {
+    return DEFAULT_WORKSPACE;
+  }
+
+  slugify(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 50);
+  }
+
+  async list() {
+    await this.initialize();
+    return Array.from(this.workspaces.values());
+  }
+
+  async get(id) {
+    await this.initialize();
+    return this.workspaces.get(id) || null;
+  }
+
+  // Services bound to the workspace's collection, created once per workspace
+  getServices(workspace) {
+    if (workspace.id === DEFAULT_WORKSPACE) {
+      return { ragService, documentService };
+    }
+
+    if (!this.services.has(workspace.id)) {
+      const workspaceDocuments = documentService.withCollection(workspace.collectionName);
+      this.services.set(workspace.id, {
+        ragService: workspaceDocuments.ragService,
+        documentService: workspaceDocuments
+      });
+    }
+
+    return this.services.get(workspace.id);
+  }
+
+  // RAG services of the workspaces in use so far, by workspace id
+  getActiveRagServices() {
+    return [
+      [DEFAULT_WORKSPACE, ragService],
+      ...Array.from(this.services.entries()).map(([id, services]) => [id, services.ragService])
+    ];
+  }
+
+  // Whether any workspace is re-embedding, which a change of embedding model would corrupt
+  isReembedding() {
+    return this.getActiveRagServices().some(([, service]) => service.isReembedding());
+  }
+
+  // Recheck the workspaces in use against the active embedding model, after it has
+  // changed. The others are checked when they first initialize.
+  async checkEmbeddingCompatibility() {
+    const statuses = [];
+    for (const [id, service] of this.getActiveRagServices()) {
+      if (!service.isInitialized) continue;
+
+      const { compatible, stored } = await service.checkEmbeddingCompatibility();
+      statuses.push({
+        workspace: id,
+        compatible,
+        embeddingModel: stored?.model || null
+      });
+    }
+
+    return statuses;
+  }
+
+  // Look up a workspace by id (the default one when none is given) together with its services
+  async resolve(id) {
+    try {
+      const workspace = await this.get(id || DEFAULT_WORKSPACE);
+      if (!workspace) {
+        return {
+          success: false,
+          notFound: true,
+          error: `Workspace "${id}" not found`
+        };
+      }
+
+      return {
+        success: true,
+        workspace,
+        ...this.getServices(workspace)
+      };
+    } catch (error) {
+      console.error('Failed to resolve workspace:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async create({ id, name, description = '' }) {
+    try {
+      await this.initialize();
+
+      if (!name || typeof name !== 'string') {
+        return {
+          success: false,
+          invalid: true,
+          error: 'Workspace name is required'
+        };
+      }
+
+      const workspaceId = id || this.slugify(name);
+      // The -reembed suffix is reserved for re-embed staging collections
+      if (!WORKSPACE_ID_PATTERN.test(workspaceId) || workspaceId.endsWith('-reembed')) {
+        return {
+          success: false,
+          invalid: true,
+          error: 'Workspace id must be 3-50 lowercase letters, numbers or hyphens, and may not end in -reembed'
+        };
+      }
+
+      if (this.workspaces.has(workspaceId)) {
+        return {
+          success: false,
+          conflict: true,
+          error: `Workspace "${workspaceId}" already exists`
+        };
+      }
+
+      const now = new Date().toISOString();
+      const workspace = {
+        id: workspaceId,
+        name,
+        description,
+        collectionName: `workspace-${workspaceId}`,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      this.workspaces.set(workspaceId, workspace);
+      await this.persist();
+
+      console.log(`✅ Created workspace: ${workspaceId}`);
+      return {
+        success: true,
+        workspace
+      };
+    } catch (error) {
+      console.error('Failed to create workspace:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async update(id, { name, description }) {
+    try {
+      const existing = await this.get(id);
+      if (!existing) {
+        return {
+          success: false,
+          notFound: true,
+          error: `Workspace "${id}" not found`
+        };
+      }
+
+      const workspace = {
+        ...existing,
+        name: name || existing.name,
+        description: description ?? existing.description,
+        updatedAt: new Date().toISOString()
+      };
+
+      this.workspaces.set(id, workspace);
+      await this.persist();
+
+      return {
+        success: true,
+        workspace
+      };
+    } catch (error) {
+      console.error('Failed to update workspace:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Deleting a workspace drops its collection, documents and version history
+  async remove(id) {
+    try {
+      if (id === DEFAULT_WORKSPACE) {
+        return {
+          success: false,
+          invalid: true,
+          error: 'The default workspace cannot be deleted'
+        };
+      }
+
+      const workspace = await this.get(id);
+      if (!workspace) {
+        return {
+          success: false,
+          notFound: true,
+          error: `Workspace "${id}" not found`
+        };
+      }
+
+      const services = this.getServices(workspace);
+      const dropResult = await services.ragService.vectorStore.dropCollection();
+      if (!dropResult.success) {
+        throw new Error(`Failed to delete collection: ${dropResult.error}`);
+      }
+      await services.ragService.documentRegistry.destroy();
+
+      this.services.delete(id);
+      this.workspaces.delete(id);
+      await this.persist();
+
+      console.log(`✅ Deleted workspace: ${id}`);
+      return {
+        success: true,
+        workspace
+      };
+    } catch (error) {
+      console.error('Failed to delete workspace:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export const workspaceService = new WorkspaceService();
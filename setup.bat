@@ -70,7 +70,8 @@ if not exist .env.local (
             echo CHROMADB_COLLECTION_NAME=documents
             echo.
             echo # Embedding Configuration
-            echo EMBEDDING_MODEL=all-MiniLM-L6-v2
+            echo EMBEDDING_PROVIDER=ollama
+            echo EMBEDDING_MODEL=nomic-embed-text
             echo.
             echo # n8n and Flowise Webhook URLs ^(optional^)
             echo N8N_WEBHOOK_URL=http://localhost:5678/webhook/trigger-task
@@ -163,6 +164,7 @@ echo.
 echo Next steps:
 echo 1. Start Ollama: ollama serve
 echo 2. Download Mistral model: ollama pull mistral
+echo    Download embedding model: ollama pull nomic-embed-text
 echo 3. Start the development server: npm run dev
 echo 4. Open http://localhost:3000 in your browser
 echo.
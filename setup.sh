@@ -97,7 +97,8 @@ CHROMADB_URL=http://localhost:8000
 CHROMADB_COLLECTION_NAME=documents
 
 # Embedding Configuration
-EMBEDDING_MODEL=all-MiniLM-L6-v2
+EMBEDDING_PROVIDER=ollama
+EMBEDDING_MODEL=nomic-embed-text
 
 # n8n and Flowise Webhook URLs (optional)
 N8N_WEBHOOK_URL=http://localhost:5678/webhook/trigger-task
@@ -159,6 +160,14 @@ check_ollama() {
             print_warning "Mistral model not found. You'll need to download it:"
             print_status "ollama pull mistral"
         fi
+
+        # Check if the embedding model is available
+        if ollama list | grep -q nomic-embed-text; then
+            print_success "Embedding model is available"
+        else
+            print_warning "Embedding model not found. You'll need to download it:"
+            print_status "ollama pull nomic-embed-text"
+        fi
     else
         print_warning "Ollama is not installed. Please install it:"
         print_status "Visit: https://ollama.ai/"
@@ -193,6 +202,7 @@ show_next_steps() {
     echo "Next steps:"
     echo "1. Start Ollama: ollama serve"
     echo "2. Download Mistral model: ollama pull mistral"
+    echo "   Download embedding model: ollama pull nomic-embed-text"
     echo "3. Start the development server: npm run dev"
     echo "4. Open http://localhost:3000 in your browser"
     echo ""
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'isha-filters-'));
+process.env.VECTOR_STORE_PATH = path.join(dataDir, 'vectorstore');
+process.env.KEYWORD_INDEX_PATH = path.join(dataDir, 'keyword-index');
+
+const { validateWhere, normalizeWhere } = await import('../lib/vectorstore-base.js');
+const { FileVectorStore } = await import('../lib/file-vectorstore.js');
+
+const store = new FileVectorStore({ collectionName: 'filters' });
+
+const chunks = [
+  { id: 'a', fileType: 'pdf', year: 2021, filename: 'handbook.pdf' },
+  { id: 'b', fileType: 'pdf', year: 2023, filename: 'policy.pdf' },
+  { id: 'c', fileType: 'txt', year: 2024, filename: 'notes.txt' },
+  { id: 'd', fileType: 'docx', year: 2019, filename: 'minutes.docx' }
+];
+
+before(async () => {
+  await store.initialize({ provider: 'hash', model: 'simple-hash', dimensions: 2 });
+  const result = await store.addDocuments(chunks.map(({ id, ...metadata }, index) => ({
+    id,
+    text: `chunk ${id}`,
+    embedding: [index, 0],
+    metadata
+  })));
+  assert.equal(result.success, true);
+});
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+async function matching(where) {
+  const result = await store.get({ where, include: [] });
+  assert.equal(result.success, true);
+  return result.ids.sort();
+}
+
+test('validateWhere accepts values, operators and nested $and / $or', () => {
+  assert.equal(validateWhere({ fileType: 'pdf' }), null);
+  assert.equal(validateWhere({ year: { $gte: 2020, $lt: 2024 } }), null);
+  assert.equal(validateWhere({ fileType: { $in: ['pdf', 'txt'] } }), null);
+  assert.equal(validateWhere({ $or: [{ fileType: 'txt' }, { $and: [{ year: 2021 }, { fileType: { $ne: 'docx' } }] }] }), null);
+});
+
+test('validateWhere rejects malformed filters', () => {
+  assert.equal(validateWhere({}), 'filters must be a non-empty object');
+  assert.equal(validateWhere([]), 'filters must be a non-empty object');
+  assert.equal(validateWhere({ $or: [] }), '$or must be a non-empty array of filters');
+  assert.equal(validateWhere({ $not: [{ year: 2021 }] }), 'Unsupported filter operator: $not');
+  assert.equal(validateWhere({ year: { $regex: '20' } }), 'Unsupported filter operator: $regex');
+  assert.equal(validateWhere({ year: {} }), 'Filter on "year" must be a value or an object of operators');
+  assert.equal(validateWhere({ fileType: { $in: [] } }), 'Invalid value for $in on "fileType"');
+  assert.equal(validateWhere({ year: { $gt: [2020] } }), 'Invalid value for $gt on "year"');
+  assert.equal(validateWhere({ $and: [{ year: null }] }), 'Filter on "year" must be a value or an object of operators');
+});
+
+test('normalizeWhere gives Chroma one field or operator per level', () => {
+  assert.deepEqual(normalizeWhere({ fileType: 'pdf' }), { fileType: 'pdf' });
+  assert.deepEqual(normalizeWhere({ fileType: 'pdf', year: { $gte: 2020, $lt: 2024 } }), {
+    $and: [{ fileType: 'pdf' }, { year: { $gte: 2020 } }, { year: { $lt: 2024 } }]
+  });
+  assert.deepEqual(normalizeWhere({ $or: [{ fileType: 'txt' }, { fileType: 'pdf', year: 2021 }] }), {
+    $or: [{ fileType: 'txt' }, { $and: [{ fileType: 'pdf' }, { year: 2021 }] }]
+  });
+});
+
+test('the file store matches values and comparison operators', async () => {
+  assert.deepEqual(await matching({ fileType: 'pdf' }), ['a', 'b']);
+  assert.deepEqual(await matching({ fileType: { $ne: 'pdf' } }), ['c', 'd']);
+  assert.deepEqual(await matching({ year: { $gt: 2021 } }), ['b', 'c']);
+  assert.deepEqual(await matching({ year: { $gte: 2021, $lte: 2023 } }), ['a', 'b']);
+  assert.deepEqual(await matching({ fileType: { $in: ['txt', 'docx'] } }), ['c', 'd']);
+  assert.deepEqual(await matching({ fileType: { $nin: ['txt', 'docx'] } }), ['a', 'b']);
+});
+
+test('the file store combines fields and $and / $or clauses', async () => {
+  assert.deepEqual(await matching({ fileType: 'pdf', year: 2023 }), ['b']);
+  assert.deepEqual(await matching({ $or: [{ fileType: 'txt' }, { year: { $lt: 2020 } }] }), ['c', 'd']);
+  assert.deepEqual(await matching({ $and: [{ fileType: 'pdf' }, { $or: [{ year: 2021 }, { year: 2024 }] }] }), ['a']);
+});
+
+test('normalized filters match the same chunks as the originals', async () => {
+  const filters = [
+    { fileType: 'pdf', year: { $gte: 2022 } },
+    { year: { $gt: 2019, $lt: 2024 } },
+    { $or: [{ fileType: 'docx' }, { fileType: 'pdf', year: 2021 }] }
+  ];
+
+  for (const where of filters) {
+    assert.deepEqual(await matching(normalizeWhere(where)), await matching(where));
+  }
+});
+
+test('the file store filters search results', async () => {
+  const result = await store.search({ embedding: [0, 0] }, 10, { fileType: { $in: ['pdf', 'docx'] } });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.ids, ['a', 'b', 'd']);
+});
@@ -0,0 +1,39 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { JsonFileWriter } = await import('../lib/json-file.js');
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'isha-json-file-'));
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('writes land in order and leave no temporary file behind', async () => {
+  const writer = new JsonFileWriter();
+  const file = path.join(dataDir, 'nested', 'store.json');
+
+  await Promise.all([1, 2, 3].map(version => writer.write(file, { version })));
+
+  assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf-8')), { version: 3 });
+  assert.deepEqual(await fs.readdir(path.dirname(file)), ['store.json']);
+});
+
+test('a failed write does not block the ones queued after it', async () => {
+  const writer = new JsonFileWriter();
+  const file = path.join(dataDir, 'after-failure.json');
+  const circular = {};
+  circular.self = circular;
+
+  const failed = writer.write(file, circular);
+  const written = writer.write(file, { ok: true }, { pretty: true });
+
+  await assert.rejects(failed, TypeError);
+  await written;
+  await writer.flush();
+
+  assert.equal(await fs.readFile(file, 'utf-8'), JSON.stringify({ ok: true }, null, 2));
+});
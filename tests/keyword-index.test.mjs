@@ -0,0 +1,64 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'isha-keyword-index-'));
+process.env.KEYWORD_INDEX_PATH = dataDir;
+
+const { KeywordIndex, tokenize } = await import('../lib/keyword-index.js');
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('tokenize lowercases, drops stopwords and keeps joined tokens whole', () => {
+  assert.deepEqual(tokenize('The ERR-404 page is Missing'), ['err-404', 'err', '404', 'page', 'missing']);
+});
+
+test('search ranks chunks by BM25 score', async () => {
+  const index = new KeywordIndex({ collectionName: 'ranking' });
+  await index.add([
+    { id: 'a', text: 'Annual leave is twenty days. Leave requests go to your manager.' },
+    { id: 'b', text: 'Sick leave needs a doctor note.' },
+    { id: 'c', text: 'Expenses are reimbursed monthly.' }
+  ]);
+
+  const hits = index.search('leave requests', 5);
+
+  assert.deepEqual(hits.map(hit => hit.id), ['a', 'b']);
+  assert.ok(hits[0].score > hits[1].score);
+  assert.deepEqual(index.search('payroll', 5), []);
+});
+
+test('words that name Object.prototype properties are ordinary terms', async () => {
+  const index = new KeywordIndex({ collectionName: 'prototype' });
+  await index.add([
+    { id: 'a', text: 'The constructor sets up the service.' },
+    { id: 'b', text: 'Call toString or valueOf on the result.' }
+  ]);
+
+  for (const [query, expected] of [['constructor', ['a']], ['constructor service', ['a']], ['tostring', ['b']], ['hasownproperty', []], ['__proto__', []]]) {
+    const hits = index.search(query, 5);
+    assert.deepEqual(hits.map(hit => hit.id), expected, query);
+    assert.ok(hits.every(hit => Number.isFinite(hit.score)), query);
+  }
+
+  // The same holds for an index loaded back from disk
+  const reloaded = new KeywordIndex({ collectionName: 'prototype' });
+  await reloaded.initialize();
+  assert.deepEqual(reloaded.search('constructor', 5).map(hit => hit.id), ['a']);
+});
+
+test('removed chunks are no longer found', async () => {
+  const index = new KeywordIndex({ collectionName: 'removal' });
+  await index.add([
+    { id: 'a', text: 'Parking permits are issued by facilities.' },
+    { id: 'b', text: 'Parking is free on weekends.' }
+  ]);
+  await index.remove(['a']);
+
+  assert.deepEqual(index.search('parking', 5).map(hit => hit.id), ['b']);
+  assert.equal(index.size, 1);
+});
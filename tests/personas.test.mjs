@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+
+// Never written to, so the built-in personas are used
+process.env.PERSONAS_PATH = path.join(os.tmpdir(), `isha-personas-${process.pid}.json`);
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.EMBEDDING_CACHE = 'false';
+process.env.VECTOR_STORE = 'file';
+
+const { personaService } = await import('../lib/personas.js');
+
+const persona = {
+  id: 'tester',
+  name: 'Tester',
+  systemPrompt: 'You are {{personaName}}, helping {{ userName }} on {{date}}. {{unknown}} stays.'
+};
+
+test('renderSystemPrompt fills in the variables it is given', () => {
+  const prompt = personaService.renderSystemPrompt(persona, { userName: 'Sam', date: '2025-01-02' });
+
+  assert.equal(prompt, 'You are Tester, helping Sam on 2025-01-02. {{unknown}} stays.');
+});
+
+test('renderSystemPrompt falls back to the defaults for missing or empty values', () => {
+  for (const userName of [undefined, null, '']) {
+    const prompt = personaService.renderSystemPrompt(persona, { userName });
+
+    assert.match(prompt, /^You are Tester, helping the user on \d{4}-\d{2}-\d{2}\. /);
+    assert.doesNotMatch(prompt, /\{\{\s*userName\s*\}\}/);
+  }
+
+  assert.match(personaService.renderSystemPrompt(persona), /helping the user on/);
+});
+
+test('renderSystemPrompt can override the persona name and leaves unknown placeholders alone', () => {
+  const prompt = personaService.renderSystemPrompt(persona, { personaName: 'Other', extra: 'x' });
+
+  assert.match(prompt, /^You are Other, /);
+  assert.match(prompt, /\{\{unknown\}\} stays\.$/);
+});
+
+test('renderSystemPrompt renders the built-in personas completely', async () => {
+  for (const id of ['isha', 'analyst']) {
+    const builtIn = await personaService.get(id);
+    const prompt = personaService.renderSystemPrompt(builtIn, { userName: 'Sam' });
+
+    assert.doesNotMatch(prompt, /\{\{\s*(userName|personaName|date)\s*\}\}/);
+  }
+});
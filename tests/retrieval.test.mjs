@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.EMBEDDING_CACHE = 'false';
+process.env.VECTOR_STORE = 'file';
+
+const { ragService } = await import('../lib/rag.js');
+
+function resultSet(entries) {
+  return {
+    success: true,
+    ids: entries.map(([id]) => id),
+    results: entries.map(([id]) => `text of ${id}`),
+    metadatas: entries.map(([id]) => ({ source: id })),
+    distances: entries.map(([, distance]) => distance)
+  };
+}
+
+test('fuseResults ranks chunks by reciprocal rank across result sets', () => {
+  const vector = resultSet([['a', 0.2], ['b', 0.4], ['c', 0.6]]);
+  const keyword = resultSet([['c', null], ['a', null], ['d', null]]);
+
+  const fused = ragService.fuseResults([vector, keyword], 10);
+  const k = ragService.rrfK;
+
+  assert.deepEqual(fused.ids, ['a', 'c', 'b', 'd']);
+  assert.equal(fused.scores[0], 1 / (k + 1) + 1 / (k + 2));
+  assert.equal(fused.scores[3], 1 / (k + 3));
+  assert.deepEqual(fused.results, ['text of a', 'text of c', 'text of b', 'text of d']);
+  assert.deepEqual(fused.metadatas[3], { source: 'd' });
+});
+
+test('fuseResults keeps the first distance given and null for keyword-only chunks', () => {
+  const question = resultSet([['a', 0.2]]);
+  const paraphrase = resultSet([['a', 0.05], ['b', 0.3]]);
+  const keyword = resultSet([['c', null]]);
+
+  const fused = ragService.fuseResults([question, keyword, paraphrase], 10);
+  const distances = Object.fromEntries(fused.ids.map((id, index) => [id, fused.distances[index]]));
+
+  assert.deepEqual(distances, { a: 0.2, b: 0.3, c: null });
+});
+
+test('fuseResults returns at most k chunks', () => {
+  const fused = ragService.fuseResults([resultSet([['a', 0.1], ['b', 0.2], ['c', 0.3]])], 2);
+
+  assert.deepEqual(fused.ids, ['a', 'b']);
+  assert.equal(fused.distances.length, 2);
+});
+
+test('applyRelevanceThreshold drops chunks below the threshold', () => {
+  const searchResult = {
+    ...resultSet([['a', 0.1], ['b', 0.5], ['c', 0.85]]),
+    scores: [3, 2, 1]
+  };
+
+  const relevant = ragService.applyRelevanceThreshold(searchResult, 0.5);
+
+  assert.deepEqual(relevant.ids, ['a', 'b']);
+  assert.deepEqual(relevant.distances, [0.1, 0.5]);
+  assert.deepEqual(relevant.scores, [3, 2]);
+  assert.deepEqual(relevant.results, ['text of a', 'text of b']);
+  assert.equal(relevant.rerankScores, undefined);
+  assert.equal(relevant.belowThreshold, 1);
+  assert.equal(relevant.relevanceThreshold, 0.5);
+});
+
+test('applyRelevanceThreshold drops chunks without a distance', () => {
+  const relevant = ragService.applyRelevanceThreshold(resultSet([['a', null], ['b', 0.2]]), 0.1);
+
+  assert.deepEqual(relevant.ids, ['b']);
+  assert.equal(relevant.belowThreshold, 1);
+});
+
+test('applyRelevanceThreshold keeps everything at 0', () => {
+  const searchResult = resultSet([['a', null], ['b', 1.9]]);
+  const relevant = ragService.applyRelevanceThreshold(searchResult, 0);
+
+  assert.deepEqual(relevant.ids, ['a', 'b']);
+  assert.equal(relevant.belowThreshold, 0);
+});
+
+const passages = {
+  results: ['Leave is twenty days.', 'Sick leave needs a note.', 'Expenses are paid monthly.'],
+  metadatas: [{ filename: 'leave.txt' }, { filename: 'sick.txt' }, { filename: 'expenses.txt' }],
+  chunkIds: [['c1'], ['c2'], ['c3']]
+};
+
+test('buildCitations turns references to passages into [n] markers', () => {
+  const { text, citations } = ragService.buildCitations('Twenty days [Document 1, 2], paid monthly (source 3).', passages);
+
+  assert.equal(text, 'Twenty days [1][2], paid monthly [3].');
+  assert.deepEqual(citations.map(citation => [citation.marker, citation.chunkId, citation.filename]), [
+    [1, 'c1', 'leave.txt'],
+    [2, 'c2', 'sick.txt'],
+    [3, 'c3', 'expenses.txt']
+  ]);
+});
+
+test('buildCitations leaves code and numbers that no passage has unchanged', () => {
+  const answer = 'Use `items[0]` or `items[1]`, then arr[0] and matrix[5][4], per RFC [2616] [1, 7].\n```js\nconst x = a[2];\n```\nSee [1].';
+  const { text, citations } = ragService.buildCitations(answer, passages);
+
+  assert.equal(text, answer);
+  assert.deepEqual(citations.map(citation => citation.marker), [1]);
+});
+
+test('buildCitations leaves an unterminated code block alone', () => {
+  const answer = 'Stopped mid-answer [2]:\n```\nrows[1]';
+  const { text, citations } = ragService.buildCitations(answer, passages);
+
+  assert.equal(text, answer);
+  assert.deepEqual(citations.map(citation => citation.marker), [2]);
+});
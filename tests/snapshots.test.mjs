@@ -0,0 +1,183 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The services log every step to stdout, which the test runner also reads its results from
+console.log = () => {};
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'isha-snapshots-'));
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.EMBEDDING_CACHE = 'false';
+process.env.VECTOR_STORE = 'file';
+process.env.VECTOR_STORE_PATH = path.join(dataDir, 'vectorstore');
+process.env.DOCUMENT_REGISTRY_PATH = path.join(dataDir, 'registry');
+process.env.KEYWORD_INDEX_PATH = path.join(dataDir, 'keyword-index');
+
+const { ollamaService } = await import('../lib/ollama.js');
+const { ragService } = await import('../lib/rag.js');
+const { documentService } = await import('../lib/documents.js');
+const { snapshotService } = await import('../lib/snapshots.js');
+
+// No Ollama server is needed: chunks are embedded with the hash provider
+ollamaService.initialize = async () => true;
+
+const context = { workspace: { id: 'default' }, ragService, documentService };
+const { vectorStore, documentRegistry } = documentService;
+
+let original;
+
+beforeEach(async () => {
+  assert.equal((await ragService.clearKnowledgeBase()).success, true);
+
+  const result = await documentService.addDocument({
+    filename: 'leave.txt',
+    fileType: 'txt',
+    fileSize: 21,
+    checksum: 'leave-v1',
+    chunks: [{ id: 'leave-0', text: 'Leave is twenty days.', filename: 'leave.txt', fileType: 'txt', chunkIndex: 0 }],
+    text: 'Leave is twenty days.'
+  });
+  assert.equal(result.success, true);
+  original = result.document;
+});
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// A snapshot of the current knowledge base with its chunk text changed. Records are
+// copied, as they would be when written out, so editing them leaves the registry alone.
+async function editedSnapshot(text) {
+  const records = [];
+  const result = await snapshotService.exportSnapshot(context, record => records.push(structuredClone(record)));
+  assert.equal(result.success, true);
+
+  for (const record of records) {
+    if (record.type === 'chunk') {
+      record.text = text;
+    }
+  }
+  return records;
+}
+
+async function chunkTexts(document) {
+  const result = await vectorStore.get({ ids: document.chunkIds, limit: document.chunkIds.length });
+  assert.equal(result.success, true);
+  return result.results;
+}
+
+test('skip keeps the existing document', async () => {
+  const records = await editedSnapshot('Leave is thirty days.');
+  const result = await snapshotService.importSnapshot(context, records, { onConflict: 'skip' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.skipped, 1);
+  assert.equal(result.documents, 0);
+  assert.deepEqual(await chunkTexts(await documentRegistry.get(original.id)), ['Leave is twenty days.']);
+});
+
+test('overwrite replaces the document and retires its old chunks', async () => {
+  const records = await editedSnapshot('Leave is thirty days.');
+  const result = await snapshotService.importSnapshot(context, records, { onConflict: 'overwrite' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.overwritten, 1);
+  assert.equal(result.documents, 1);
+
+  const documents = await documentRegistry.list();
+  assert.equal(documents.length, 1);
+  assert.equal(documents[0].id, original.id);
+  assert.deepEqual(await chunkTexts(documents[0]), ['Leave is thirty days.']);
+
+  const old = await vectorStore.get({ ids: original.chunkIds, limit: original.chunkIds.length });
+  assert.deepEqual(old.ids, []);
+});
+
+test('overwrite leaves the existing document in place when storing fails', async () => {
+  const records = await editedSnapshot('Leave is thirty days.');
+  const addDocuments = vectorStore.addDocuments;
+  vectorStore.addDocuments = async () => ({ success: false, error: 'disk full' });
+
+  let result;
+  try {
+    result = await snapshotService.importSnapshot(context, records, { onConflict: 'overwrite' });
+  } finally {
+    vectorStore.addDocuments = addDocuments;
+  }
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /disk full/);
+
+  const document = await documentRegistry.get(original.id);
+  assert.deepEqual(document.chunkIds, original.chunkIds);
+  assert.deepEqual(await chunkTexts(document), ['Leave is twenty days.']);
+});
+
+test('rename imports a copy under new document and chunk ids', async () => {
+  const records = await editedSnapshot('Leave is thirty days.');
+  const result = await snapshotService.importSnapshot(context, records, { onConflict: 'rename' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.renamed, 1);
+
+  const documents = await documentRegistry.list();
+  assert.equal(documents.length, 2);
+
+  const copy = documents.find(document => document.id !== original.id);
+  assert.equal(copy.filename, 'leave.txt');
+  assert.notDeepEqual(copy.chunkIds, original.chunkIds);
+  assert.deepEqual(await chunkTexts(copy), ['Leave is thirty days.']);
+  assert.deepEqual(await chunkTexts(await documentRegistry.get(original.id)), ['Leave is twenty days.']);
+});
+
+test('imports are refused while the knowledge base is re-embedding', async () => {
+  const records = await editedSnapshot('Leave is thirty days.');
+  const job = ragService.reembedJob;
+  ragService.reembedJob = { status: 'running' };
+
+  let result;
+  try {
+    result = await snapshotService.importSnapshot(context, records, { onConflict: 'overwrite' });
+  } finally {
+    ragService.reembedJob = job;
+  }
+
+  assert.equal(result.success, false);
+  assert.equal(result.conflict, true);
+  assert.deepEqual(await chunkTexts(await documentRegistry.get(original.id)), ['Leave is twenty days.']);
+});
+
+test('an unknown conflict mode is invalid', async () => {
+  const result = await snapshotService.importSnapshot(context, [], { onConflict: 'merge' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.invalid, true);
+});
+
+test('ids and versions that could escape the data directory are rejected', async () => {
+  const snapshots = [
+    records => { records[1].document.id = '../../../escaped'; records[2].documentId = '../../../escaped'; },
+    records => { records[1].versionTexts = { '../../../../written-outside': 'x' }; },
+    records => { records[2].id = '../chunk'; }
+  ];
+
+  for (const tamper of snapshots) {
+    const records = await editedSnapshot('Leave is thirty days.');
+    tamper(records);
+    const result = await snapshotService.importSnapshot(context, records, { onConflict: 'rename' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.invalid, true);
+  }
+
+  assert.deepEqual((await fs.readdir(dataDir)).sort(), ['keyword-index', 'registry', 'vectorstore']);
+  assert.equal((await documentRegistry.list()).length, 1);
+});
+
+test('the registry keeps version files inside its data directory', async () => {
+  assert.throws(() => documentRegistry.getVersionsDir('../escaped'), /Invalid document id/);
+  assert.throws(() => documentRegistry.getVersionFile(original.id, '../1'), /Invalid document version/);
+  await assert.rejects(documentRegistry.saveVersionText('..', 1, 'x'), /Invalid document id/);
+});